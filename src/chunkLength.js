@@ -0,0 +1,14 @@
+/**
+ * Calculates the length of a chunk of a response body
+ * @param {(String | Buffer)} [chunk] - the chunk
+ * @param {(String | function)} [encoding] - the encoding of the chunk if it's a string (or the callback of the write)
+ * @returns {Number} the length in bytes
+ */
+function getLength(chunk, encoding) {
+	if (chunk === undefined || chunk === null)
+		return 0;
+
+	return typeof chunk === "string" ? Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : undefined) : chunk.length;
+}
+
+module.exports = { getLength };
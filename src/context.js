@@ -0,0 +1,71 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ */
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {String} id - the id of the request
+ * @property {IncomingMessage} req - the request object received from the client
+ * @property {ServerResponse} res - the response object that will be sent to the client
+ */
+
+/**
+ * Request IDs accepted from the clients: at most 200 visible ASCII characters, so they can't break the lines of a log
+ * @type {RegExp}
+ */
+const VALID_ID = /^[!-~]{1,200}$/;
+
+/**
+ * Stores the context of the request being processed, which follows the request through every callback and promise
+ * Null on Node.js versions without AsyncLocalStorage (before 12.17), where the context isn't available
+ * @type {?AsyncLocalStorage.<RequestContext>}
+ */
+const storage = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
+/**
+ * Returns the context of the request being processed
+ * @returns {(RequestContext | undefined)} the context, or undefined if it's called outside of processing a request
+ */
+exports.context = () => {
+	return storage ? storage.getStore() : undefined;
+};
+
+/**
+ * Calls a function in the context of a request
+ * @param {RequestContext} requestContext - the context of the request
+ * @param {function} callback - the function
+ * @returns {*} the return value of the function
+ */
+exports.runInContext = (requestContext, callback) => {
+	return storage ? storage.run(requestContext, callback) : callback();
+};
+
+/**
+ * Gets the id of a request: the X-Request-Id header sent by the client (or a proxy), or a new random id if it doesn't have a valid one
+ * @param {IncomingMessage} req - the request object received from the client
+ * @returns {String} the id
+ */
+exports.getRequestId = (req) => {
+	const header = req.headers["x-request-id"];
+	return typeof header === "string" && VALID_ID.test(header) ? header : randomUUID();
+};
+
+/**
+ * Generates a random (version 4) UUID, with crypto.randomUUID where it's available (Node.js 14.17 and later)
+ * @returns {String} the UUID
+ */
+function randomUUID() {
+	if (crypto.randomUUID)
+		return crypto.randomUUID();
+
+	const bytes = crypto.randomBytes(16);
+	bytes[6] = (bytes[6] & 0x0f) | 0x40;
+	bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+	const hex = bytes.toString("hex");
+	return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
@@ -0,0 +1,241 @@
+const crypto = require("crypto");
+const { createHmac, createCipheriv, createDecipheriv, randomBytes, timingSafeEqual } = crypto;
+
+/**
+ * Characters allowed in cookie names (the token characters of RFC 7230)
+ * @type {RegExp}
+ */
+const COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Characters that can't appear in attribute values (control characters and the attribute separator)
+ * @type {RegExp}
+ */
+const INVALID_ATTRIBUTE_VALUE = /[\x00-\x1f\x7f;]/;
+
+/**
+ * The prefixes that mark the values of signed and encrypted cookies
+ * @type {{ signed: String, encrypted: String }}
+ */
+const PREFIXES = { signed: "s:", encrypted: "e:" };
+
+/**
+ * Generates a cookie string
+ * @param {String} key - key/name of the cookie
+ * @param {*} value - value of the cookie (percent-encoded, unless the encode option says otherwise)
+ * @param {Object} [options] - the extra options which the cookie should have
+ * @param {String} [options.domain] - the Domain attribute
+ * @param {String} [options.path] - the Path attribute
+ * @param {(Date | String)} [options.expires] - the Expires attribute
+ * @param {Number} [options.maxAge] - the Max-Age attribute, in seconds
+ * @param {String} [options.sameSite] - the SameSite attribute (Strict, Lax or None)
+ * @param {String} [options.priority] - the Priority attribute (Low, Medium or High)
+ * @param {Boolean} [options.httpOnly] - add the HttpOnly attribute
+ * @param {Boolean} [options.secure] - add the Secure attribute
+ * @param {Boolean} [options.partitioned] - add the Partitioned attribute
+ * @param {Boolean} [options.signed] - sign the value, so it can't be changed by the client
+ * @param {Boolean} [options.encrypted] - encrypt the value, so it can't be read or changed by the client
+ * @param {(String | String[])} [options.secret] - the secret used for signing or encrypting the value (the first one if there are more)
+ * @param {function(String): String} [options.encode=encodeURIComponent] - the function used for encoding the value
+ * @returns {String} the parsed cookie string
+ */
+function genCookie(key, value, options={}) {
+	if (!COOKIE_NAME.test(key))
+		throw new TypeError(`Invalid cookie name: ${key}`);
+
+	value = String(value);
+
+	if (options.signed || options.encrypted) {
+		const secret = [].concat(options.secret || [])[0];
+		if (!secret)
+			throw new TypeError(`A secret is required for ${options.encrypted ? "encrypting" : "signing"} cookies (cookie: ${key})`);
+
+		value = options.encrypted ? PREFIXES.encrypted + encryptCookie(value, secret) : PREFIXES.signed + signCookie(value, secret);
+	}
+
+	const encodedValue = (options.encode || encodeURIComponent)(value);
+	if (/[\s",;\\\x00-\x1f\x7f]/.test(encodedValue))
+		throw new TypeError(`Invalid cookie value: ${encodedValue}`);
+
+	let c = `${key}=${encodedValue};`;
+
+	if (options.domain !== undefined)
+		c += ` Domain=${checkAttribute("Domain", options.domain)};`
+	if (options.path !== undefined)
+		c += ` Path=${checkAttribute("Path", options.path)};`
+	if (options.expires !== undefined)
+		c += ` Expires=${checkAttribute("Expires", options.expires instanceof Date ? options.expires.toUTCString() : options.expires)};`
+	if (options.maxAge !== undefined) {
+		if (!Number.isFinite(Number(options.maxAge)))
+			throw new TypeError(`Invalid Max-Age attribute: ${options.maxAge}`);
+
+		c += ` Max-Age=${Math.floor(Number(options.maxAge))};`
+	}
+	if (options.sameSite !== undefined)
+		c += ` SameSite=${checkChoice("SameSite", options.sameSite, ["Strict", "Lax", "None"])};`
+	if (options.priority !== undefined)
+		c += ` Priority=${checkChoice("Priority", options.priority, ["Low", "Medium", "High"])};`
+	if (options.httpOnly)
+		c += ` HttpOnly;`
+	if (options.secure)
+		c += ` Secure;`
+	if (options.partitioned)
+		c += ` Partitioned;`
+
+	return c.substr(0, c.length - 1);
+}
+
+/**
+ * Makes sure that an attribute value can't break the cookie string
+ * @param {String} name - the name of the attribute
+ * @param {*} value - the value of the attribute
+ * @returns {String} the value
+ */
+function checkAttribute(name, value) {
+	value = String(value);
+	if (INVALID_ATTRIBUTE_VALUE.test(value))
+		throw new TypeError(`Invalid ${name} attribute: ${value}`);
+
+	return value;
+}
+
+/**
+ * Makes sure that an attribute value is one of the allowed ones (case-insensitively)
+ * @param {String} name - the name of the attribute
+ * @param {String} value - the value of the attribute
+ * @param {String[]} choices - the allowed values
+ * @returns {String} the allowed value matching the given one
+ */
+function checkChoice(name, value, choices) {
+	const choice = choices.find(choice => choice.toLowerCase() === String(value).toLowerCase());
+	if (choice === undefined)
+		throw new TypeError(`Invalid ${name} attribute: ${value} (expected one of: ${choices.join(", ")})`);
+
+	return choice;
+}
+
+/**
+ * Signs a cookie value with HMAC-SHA256
+ * @param {String} value - the value
+ * @param {String} secret - the secret
+ * @returns {String} the value followed by its signature
+ */
+function signCookie(value, secret) {
+	return `${value}.${toBase64Url(createHmac("sha256", secret).update(value).digest())}`;
+}
+
+/**
+ * Verifies the signature of a signed cookie value
+ * @param {String} signedValue - the value followed by its signature
+ * @param {(String | String[])} secrets - the secret, or every secret that's still accepted (when the secret is being rotated)
+ * @returns {?String} the value, or null if the signature isn't valid
+ */
+function unsignCookie(signedValue, secrets) {
+	const separatorIndex = signedValue.lastIndexOf(".");
+	if (separatorIndex === -1)
+		return null;
+
+	const value = signedValue.slice(0, separatorIndex), signature = Buffer.from(signedValue.slice(separatorIndex + 1));
+
+	for (const secret of [].concat(secrets)) {
+		const expected = Buffer.from(toBase64Url(createHmac("sha256", secret).update(value).digest()));
+
+		if (expected.length === signature.length && timingSafeEqual(expected, signature))
+			return value;
+	}
+
+	return null;
+}
+
+/**
+ * Encrypts a cookie value with AES-256-GCM
+ * @param {String} value - the value
+ * @param {String} secret - the secret the encryption key is derived from
+ * @returns {String} the initialization vector, authentication tag and encrypted value, base64url-encoded
+ */
+function encryptCookie(value, secret) {
+	const iv = randomBytes(12);
+	const cipher = createCipheriv("aes-256-gcm", deriveKey(secret), iv);
+	const encrypted = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+
+	return toBase64Url(Buffer.concat([iv, cipher.getAuthTag(), encrypted]));
+}
+
+/**
+ * Decrypts an encrypted cookie value
+ * @param {String} encryptedValue - the value created by encryptCookie
+ * @param {(String | String[])} secrets - the secret, or every secret that's still accepted (when the secret is being rotated)
+ * @returns {?String} the value, or null if it can't be decrypted (e.g. it was changed by the client)
+ */
+function decryptCookie(encryptedValue, secrets) {
+	// The base64 decoder accepts the URL-safe alphabet too
+	const data = Buffer.from(encryptedValue, "base64");
+	if (data.length < 28)
+		return null;
+
+	for (const secret of [].concat(secrets)) {
+		try {
+			const decipher = createDecipheriv("aes-256-gcm", deriveKey(secret), data.subarray(0, 12));
+			decipher.setAuthTag(data.subarray(12, 28));
+
+			return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString("utf8");
+		} catch (err) {
+			// The value was encrypted with a different secret (or it was tampered with)
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Derives the encryption key from a secret, so the same secret can be used for signing and encrypting
+ * @param {String} secret - the secret
+ * @returns {Buffer} the 256-bit key
+ */
+function deriveKey(secret) {
+	if (crypto.hkdfSync)
+		return Buffer.from(crypto.hkdfSync("sha256", secret, "", "toldi-cookie-encryption", 32));
+
+	// HKDF written out with HMAC for Node.js versions before 15 (a single block of SHA-256 covers the 32 bytes)
+	const pseudoRandomKey = createHmac("sha256", "").update(secret).digest();
+	return createHmac("sha256", pseudoRandomKey).update("toldi-cookie-encryption").update(Buffer.from([1])).digest();
+}
+
+/**
+ * Encodes bytes with the URL-safe base64 alphabet, without padding (Buffer only supports "base64url" since Node.js 14.18)
+ * @param {Buffer} bytes - the bytes
+ * @returns {String} the encoded bytes
+ */
+function toBase64Url(bytes) {
+	return bytes.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Verifies (or decrypts) a cookie value if it was signed (or encrypted)
+ * @param {String} value - the decoded value of the cookie
+ * @param {(String | String[])} secrets - the accepted secrets
+ * @returns {(String | false | undefined)} the verified value, false if the value can't be verified, or undefined if the value isn't signed or encrypted
+ */
+function verifyCookie(value, secrets) {
+	if (value.startsWith(PREFIXES.signed)) {
+		const result = unsignCookie(value.slice(PREFIXES.signed.length), secrets);
+		return result === null ? false : result;
+	}
+
+	if (value.startsWith(PREFIXES.encrypted)) {
+		const result = decryptCookie(value.slice(PREFIXES.encrypted.length), secrets);
+		return result === null ? false : result;
+	}
+
+	return undefined;
+}
+
+module.exports = {
+	genCookie,
+	signCookie,
+	unsignCookie,
+	encryptCookie,
+	decryptCookie,
+	verifyCookie,
+	toBase64Url
+};
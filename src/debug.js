@@ -0,0 +1,25 @@
+let debugMode = process.env.TOLDI_DEBUG ? true : false;
+if (debugMode)
+	console.warn("WARNING: Toldi is running in debug mode");
+
+/**
+ * Returns whether or not debug mode is enabled
+ * @returns {Boolean} true if debug mode is enabled, false otherwise
+ */
+exports.getDebugMode = () => {
+	return debugMode;
+};
+
+/**
+ * Either enables or disables debug mode
+ * @param {Boolean} [value=true] - whether debug mode should be enabled or disabled
+ */
+exports.setDebugMode = (value=true) => {
+	if (typeof value !== "boolean")
+		throw new TypeError(`Expected a Boolean value, received ${typeof value} instead`);
+
+	debugMode = value;
+
+	if (debugMode)
+		console.warn("WARNING: Toldi is now running in debug mode");
+};
@@ -0,0 +1,249 @@
+const { IncomingMessage, ServerResponse } = require("http");
+const { Duplex } = require("stream");
+
+/**
+ * @typedef {import("./router")} Router
+ */
+
+/**
+ * @typedef {Object} InjectOptions
+ * @property {String} [method="GET"] - the method of the request
+ * @property {String} [url="/"] - the URL of the request, including the query
+ * @property {Object.<String, (String | String[])>} [headers] - the headers of the request (the Host header is localhost by default)
+ * @property {(String | Buffer | Object)} [body] - the body of the request, objects are sent as JSON
+ * @property {Object.<String, String>} [cookies] - cookies added to the Cookie header (their values are percent-encoded)
+ * @property {String} [remoteAddress="127.0.0.1"] - the IP address of the client
+ * @property {Number} [timeout=5000] - the number of milliseconds the response has to be sent in (0 disables the timeout)
+ */
+
+/**
+ * @typedef {Object} InjectResponse
+ * @property {Number} statusCode - the status code of the response
+ * @property {String} statusMessage - the status message of the response
+ * @property {Object.<String, (String | String[])>} headers - the headers of the response with lower case names (Set-Cookie is an array, other repeated headers are joined)
+ * @property {Object.<String, String>} cookies - the cookies set by the response, with their decoded values
+ * @property {String} body - the body of the response as an UTF-8 string (compressed bodies aren't decompressed)
+ * @property {Buffer} rawBody - the body of the response
+ * @property {function(): *} json - parses the body as JSON
+ */
+
+/**
+ * Sends a fake request to a router without starting a server, and collects the response (useful for testing)
+ * The request and response are real IncomingMessage and ServerResponse objects connected to an in-memory socket, so streaming parsers and finish listeners work the same way as with a server
+ * @param {Router} router - the router handling the request
+ * @param {InjectOptions} [options] - the options of the request
+ * @returns {Promise.<InjectResponse>} a promise which resolves with the response once it has been sent, or rejects if it isn't sent in time
+ */
+function inject(router, options={}) {
+	const timeout = options.timeout !== undefined ? options.timeout : 5000;
+	const output = [];
+
+	// The socket collects the bytes of the response, and never sends anything itself (the body of the request is pushed into the request object)
+	const socket = new Duplex({
+		read() {},
+		write(chunk, encoding, callback) {
+			output.push(chunk);
+			callback();
+		}
+	});
+	socket.remoteAddress = options.remoteAddress || "127.0.0.1";
+
+	const body = getBody(options.body);
+	const req = new IncomingMessage(socket);
+
+	req.method = (options.method || "GET").toUpperCase();
+	req.url = options.url || "/";
+	req.httpVersion = "1.1";
+	req.httpVersionMajor = 1;
+	req.httpVersionMinor = 1;
+	req.headers = getHeaders(options, body);
+	req.rawHeaders = [];
+	for (const name of Object.keys(req.headers))
+		[].concat(req.headers[name]).forEach(value => req.rawHeaders.push(name, value));
+
+	const res = new ServerResponse(req);
+	res.assignSocket(socket);
+
+	return new Promise((resolve, reject) => {
+		let timer = null;
+
+		if (timeout > 0) {
+			timer = setTimeout(() => {
+				reject(new Error(`inject: ${req.method} ${req.url} wasn't answered within ${timeout} ms`));
+				res.destroy();
+			}, timeout);
+		}
+
+		// A single listener, so the response has the same listeners as one sent by a server
+		res.once("finish", () => {
+			clearTimeout(timer);
+
+			try {
+				resolve(parseResponse(Buffer.concat(output)));
+			} catch (parseErr) {
+				reject(parseErr);
+			}
+
+			// A server closes the response once it's finished (finished() waits for it), here the socket isn't needed for anything else anyway
+			socket.destroy();
+		});
+
+		// The response was destroyed before it was finished (a settled promise ignores this after the finish listener)
+		socket.once("close", () => {
+			clearTimeout(timer);
+			reject(new Error(`inject: the response of ${req.method} ${req.url} was closed before it was finished`));
+		});
+
+		// The body is sent once the handler had a chance to add its listeners, like it would arrive from the network
+		setImmediate(() => {
+			if (body !== null)
+				req.push(body);
+
+			req.push(null);
+			req.complete = true;
+		});
+
+		Promise.resolve(router.requestHandler(req, res)).catch(err => {
+			clearTimeout(timer);
+			reject(err);
+		});
+	});
+}
+
+/**
+ * Converts the body option into a Buffer
+ * @param {(String | Buffer | Object)} [body] - the body option
+ * @returns {?Buffer} the body, or null if the request has no body
+ */
+function getBody(body) {
+	if (body === undefined || body === null)
+		return null;
+	if (Buffer.isBuffer(body))
+		return body;
+
+	return Buffer.from(typeof body === "string" ? body : JSON.stringify(body));
+}
+
+/**
+ * Creates the headers of the fake request
+ * @param {InjectOptions} options - the options of the request
+ * @param {?Buffer} body - the body of the request
+ * @returns {Object.<String, (String | String[])>} the headers with lower case names
+ */
+function getHeaders(options, body) {
+	const headers = { host: "localhost" };
+
+	for (const name of Object.keys(options.headers || {}))
+		headers[name.toLowerCase()] = Array.isArray(options.headers[name]) ? options.headers[name].map(String) : String(options.headers[name]);
+
+	if (body !== null) {
+		if (headers["content-length"] === undefined && headers["transfer-encoding"] === undefined)
+			headers["content-length"] = String(body.length);
+		if (headers["content-type"] === undefined && typeof options.body === "object" && !Buffer.isBuffer(options.body))
+			headers["content-type"] = "application/json";
+	}
+
+	if (options.cookies) {
+		const cookies = Object.keys(options.cookies).map(name => `${name}=${encodeURIComponent(options.cookies[name])}`);
+		headers["cookie"] = headers["cookie"] ? `${headers["cookie"]}; ${cookies.join("; ")}` : cookies.join("; ");
+	}
+
+	return headers;
+}
+
+/**
+ * Parses the bytes written to the socket of the fake response
+ * @param {Buffer} data - the status line, headers and body of the response
+ * @returns {InjectResponse} the parsed response
+ */
+function parseResponse(data) {
+	let headerEnd, statusCode, statusMessage, lines;
+
+	// Informational responses (e.g. 100 Continue) are sent before the final one
+	do {
+		headerEnd = data.indexOf("\r\n\r\n");
+		if (headerEnd === -1)
+			throw new Error("inject: the response was closed before its headers were sent");
+
+		lines = data.subarray(0, headerEnd).toString("latin1").split("\r\n");
+		[, statusCode, statusMessage] = /^HTTP\/\d\.\d (\d{3}) ?(.*)$/.exec(lines[0]);
+		statusCode = Number(statusCode);
+
+		data = data.subarray(headerEnd + 4);
+	} while (statusCode < 200);
+
+	const headers = {};
+	for (const line of lines.slice(1)) {
+		const separatorIndex = line.indexOf(":");
+		const name = line.slice(0, separatorIndex).trim().toLowerCase(), value = line.slice(separatorIndex + 1).trim();
+
+		if (name === "set-cookie")
+			headers[name] = (headers[name] || []).concat(value);
+		else
+			headers[name] = headers[name] === undefined ? value : `${headers[name]}, ${value}`;
+	}
+
+	const rawBody = /\bchunked\b/i.test(headers["transfer-encoding"] || "") ? decodeChunks(data) : data;
+
+	return {
+		statusCode,
+		statusMessage,
+		headers,
+		cookies: parseSetCookie(headers["set-cookie"] || []),
+		body: rawBody.toString("utf8"),
+		rawBody,
+		json: () => JSON.parse(rawBody.toString("utf8"))
+	};
+}
+
+/**
+ * Joins the chunks of a body sent with chunked transfer encoding
+ * @param {Buffer} data - the encoded body
+ * @returns {Buffer} the body
+ */
+function decodeChunks(data) {
+	const chunks = [];
+	let position = 0;
+
+	while (position < data.length) {
+		const lineEnd = data.indexOf("\r\n", position);
+		if (lineEnd === -1)
+			break;
+
+		// Chunk extensions (after a semicolon) are ignored
+		const size = parseInt(data.subarray(position, lineEnd).toString("latin1").split(";")[0], 16);
+		if (!(size > 0))
+			break;
+
+		chunks.push(data.subarray(lineEnd + 2, lineEnd + 2 + size));
+		position = lineEnd + 2 + size + 2;
+	}
+
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Gets the names and values of the cookies set by a response
+ * @param {String[]} setCookieHeaders - the Set-Cookie headers of the response
+ * @returns {Object.<String, String>} the decoded values of the cookies by name
+ */
+function parseSetCookie(setCookieHeaders) {
+	const cookies = {};
+
+	for (const header of setCookieHeaders) {
+		const pair = header.split(";")[0], separatorIndex = pair.indexOf("=");
+		if (separatorIndex === -1)
+			continue;
+
+		const value = pair.slice(separatorIndex + 1).trim();
+		try {
+			cookies[pair.slice(0, separatorIndex).trim()] = decodeURIComponent(value);
+		} catch (err) {
+			cookies[pair.slice(0, separatorIndex).trim()] = value;
+		}
+	}
+
+	return cookies;
+}
+
+module.exports = inject;
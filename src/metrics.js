@@ -0,0 +1,198 @@
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ * @typedef {import("./router")} Router
+ */
+
+/**
+ * The upper bounds of the latency histogram's buckets by default, in seconds
+ * @type {Number[]}
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * The methods used as labels, other methods are counted as "OTHER" (the method is chosen by the client, so it could create any number of labels)
+ * @type {String[]}
+ */
+const KNOWN_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "CONNECT", "TRACE"];
+
+/**
+ * The route label of requests that no route has handled (e.g. the ones answered by the fallback)
+ * @type {String}
+ */
+const UNMATCHED_ROUTE = "(unmatched)";
+
+/**
+ * Class for collecting metrics about the requests of routers, which can be exported in the Prometheus text format
+ * Requests are labelled by the path of their route (e.g. /users/{id}) instead of their own path, so the number of labels stays bounded
+ */
+class Metrics {
+	/**
+	 * @constructor
+	 * @param {Object} [options] - the options of the collector
+	 * @param {String} [options.prefix="toldi_"] - the prefix of the metric names
+	 * @param {Number[]} [options.buckets] - the upper bounds of the latency histogram's buckets in seconds (from 5 milliseconds to 10 seconds by default)
+	 */
+	constructor(options={}) {
+		this.prefix = options.prefix !== undefined ? options.prefix : "toldi_";
+		this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+
+		/**
+		 * The collected metrics, where the values are stored by their serialized labels
+		 * @type {Object.<String, { type: String, help: String, values: Map.<String, (Number | { counts: Number[], sum: Number, count: Number })> }>}
+		 */
+		this.metrics = {};
+
+		this.define("http_requests_total", "counter", "The number of responses sent, by method, route and status code");
+		this.define("http_request_duration_seconds", "histogram", "The time it took to send the responses, by method, route and status code");
+		this.define("fallbacks_total", "counter", "The number of requests handled by the fallback, by method");
+		this.define("splitter_errors_total", "counter", "The number of splitter results that aren't the index of one of their handlers, by route");
+		this.define("parser_rejections_total", "counter", "The number of requests rejected by the request parsers, by parser and status code");
+
+		/**
+		 * Route handler which responds with the metrics in the Prometheus text format
+		 * @param {IncomingMessage} req - the request object received from the client
+		 * @param {ServerResponse} res - the response object that will be sent to the client
+		 */
+		this.handler = (req, res) => {
+			const body = this.serialize();
+
+			res.writeHead(200, {"Content-Type": "text/plain; version=0.0.4; charset=utf-8", "Content-Length": Buffer.byteLength(body)});
+			res.end(body);
+		};
+	}
+
+	/**
+	 * Starts collecting the metrics of a router's requests (a collector can be attached to multiple routers, e.g. to the routers of virtual hosts)
+	 * @param {Router} router - the router
+	 * @returns {Metrics} the collector
+	 */
+	attach(router) {
+		router.addEventListener("finish", (req, res, { duration, statusCode }) => {
+			const labels = { method: getMethod(req), route: req.routePath || UNMATCHED_ROUTE, status: String(statusCode) };
+
+			this.increment("http_requests_total", labels);
+			this.observe("http_request_duration_seconds", labels, duration / 1000);
+		});
+
+		router.addEventListener("fallback", req => {
+			this.increment("fallbacks_total", { method: getMethod(req) });
+		});
+
+		router.addEventListener("splitterError", req => {
+			this.increment("splitter_errors_total", { route: req.routePath || UNMATCHED_ROUTE });
+		});
+
+		router.addEventListener("parserRejected", (req, parser, statusCode) => {
+			this.increment("parser_rejections_total", { parser, status: String(statusCode) });
+		});
+
+		return this;
+	}
+
+	/**
+	 * Adds a metric
+	 * @param {String} name - the name of the metric (without the prefix)
+	 * @param {"counter" | "histogram"} type - the type of the metric
+	 * @param {String} help - the description of the metric
+	 */
+	define(name, type, help) {
+		this.metrics[name] = { type, help, values: new Map() };
+	}
+
+	/**
+	 * Increments a counter
+	 * @param {String} name - the name of the counter (without the prefix)
+	 * @param {Object.<String, String>} labels - the labels of the value that should be incremented
+	 * @param {Number} [amount=1] - the amount the value is incremented by
+	 */
+	increment(name, labels, amount=1) {
+		const values = this.metrics[name].values, key = serializeLabels(labels);
+
+		values.set(key, (values.get(key) || 0) + amount);
+	}
+
+	/**
+	 * Adds an observation to a histogram
+	 * @param {String} name - the name of the histogram (without the prefix)
+	 * @param {Object.<String, String>} labels - the labels of the value the observation is added to
+	 * @param {Number} value - the observed value
+	 */
+	observe(name, labels, value) {
+		const values = this.metrics[name].values, key = serializeLabels(labels);
+
+		let histogram = values.get(key);
+		if (histogram === undefined) {
+			histogram = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+			values.set(key, histogram);
+		}
+
+		this.buckets.forEach((bucket, i) => {
+			if (value <= bucket)
+				histogram.counts[i]++;
+		});
+		histogram.sum += value;
+		histogram.count++;
+	}
+
+	/**
+	 * Removes every collected value
+	 */
+	reset() {
+		for (const name of Object.keys(this.metrics))
+			this.metrics[name].values.clear();
+	}
+
+	/**
+	 * Exports the metrics in the Prometheus text format
+	 * @returns {String} the metrics
+	 */
+	serialize() {
+		const lines = [];
+
+		for (const name of Object.keys(this.metrics)) {
+			const metric = this.metrics[name], fullName = this.prefix + name;
+
+			lines.push(`# HELP ${fullName} ${metric.help}`);
+			lines.push(`# TYPE ${fullName} ${metric.type}`);
+
+			for (const [labels, value] of metric.values) {
+				if (metric.type === "counter") {
+					lines.push(`${fullName}{${labels}} ${value}`);
+					continue;
+				}
+
+				// The buckets of a histogram are cumulative, the last one counts every observation
+				this.buckets.forEach((bucket, i) => lines.push(`${fullName}_bucket{${labels},le="${bucket}"} ${value.counts[i]}`));
+				lines.push(`${fullName}_bucket{${labels},le="+Inf"} ${value.count}`);
+				lines.push(`${fullName}_sum{${labels}} ${value.sum}`);
+				lines.push(`${fullName}_count{${labels}} ${value.count}`);
+			}
+		}
+
+		return lines.join("\n") + "\n";
+	}
+}
+
+/**
+ * Gets the method label of a request
+ * @param {IncomingMessage} req - the request object received from the client
+ * @returns {String} the method in upper case, or "OTHER" if it isn't a known method
+ */
+function getMethod(req) {
+	const method = req.method.toUpperCase();
+	return KNOWN_METHODS.includes(method) ? method : "OTHER";
+}
+
+/**
+ * Serializes labels the way they appear between the braces of a sample (e.g. method="GET",status="200")
+ * @param {Object.<String, String>} labels - the labels
+ * @returns {String} the serialized labels
+ */
+function serializeLabels(labels) {
+	return Object.keys(labels)
+		.map(name => `${name}="${String(labels[name]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`)
+		.join(",");
+}
+
+module.exports = Metrics;
@@ -0,0 +1,128 @@
+const { performance } = require("perf_hooks");
+
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ */
+
+/**
+ * @typedef {Object} AccessLogEntry
+ * @property {Date} time - the time the request was received at
+ * @property {?String} id - the id of the request (see toldi.context)
+ * @property {String} remoteAddress - the IP address of the client
+ * @property {?String} user - the user name sent in the Authorization header (with Basic authentication)
+ * @property {String} method - the method of the request
+ * @property {String} url - the URL of the request, including the query
+ * @property {String} httpVersion - the HTTP version of the request
+ * @property {?String} route - the full path of the route that handled the request (e.g. "/users/{id}"), or null if no route matched it
+ * @property {Number} status - the status code of the response
+ * @property {Number} bytes - the number of bytes in the body of the response
+ * @property {Number} duration - the number of milliseconds it took to send the response
+ * @property {?String} referrer - the Referer header of the request
+ * @property {?String} userAgent - the User-Agent header of the request
+ */
+
+/**
+ * Names of the months in the Common Log Format
+ * @type {String[]}
+ */
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * The built-in formats, which turn an entry into a line of the log (without the line break)
+ * @type {Object.<String, function(AccessLogEntry): String>}
+ */
+const formats = {
+	// 127.0.0.1 - bela [10/Oct/2024:13:55:36 +0000] "GET /index.html HTTP/1.1" 200 2326
+	common: entry => `${entry.remoteAddress || "-"} - ${entry.user ? escape(entry.user).replace(/ /g, "\\x20") : "-"} [${formatTime(entry.time)}] "${escape(`${entry.method} ${entry.url} HTTP/${entry.httpVersion}`)}" ${entry.status} ${entry.bytes || "-"}`,
+
+	// The Common Log Format followed by the Referer and User-Agent headers
+	combined: entry => `${formats.common(entry)} "${escape(entry.referrer || "-")}" "${escape(entry.userAgent || "-")}"`,
+
+	json: entry => JSON.stringify({ ...entry, time: entry.time.toISOString(), duration: Math.round(entry.duration * 1000) / 1000 })
+};
+
+/**
+ * Creates a middleware which writes a line into a log for every response, once it has been sent
+ * @param {Object} [options] - the options of the middleware
+ * @param {("common" | "combined" | "json" | function(AccessLogEntry): String)} [options.format="combined"] - the format of the lines, or a function creating a line from an entry
+ * @param {{ write: function(String) }} [options.stream=process.stdout] - the stream the lines are written into
+ * @param {function(IncomingMessage, ServerResponse): Boolean} [options.skip] - returns true for requests that shouldn't be logged (e.g. successful ones)
+ * @returns {function} the middleware
+ */
+function accessLog(options={}) {
+	const format = typeof options.format === "function" ? options.format : formats[options.format || "combined"];
+	const stream = options.stream || process.stdout;
+
+	if (!format)
+		throw new Error(`Unknown access log format: ${options.format}`);
+
+	return function logAccess(req, res, next) {
+		const time = new Date();
+		// The router starts measuring the time as soon as the request is received
+		const startTime = req.startTime !== undefined ? req.startTime : performance.now();
+
+		res.on("finish", () => {
+			if (options.skip && options.skip(req, res))
+				return;
+
+			stream.write(format({
+				time,
+				id: req.id || null,
+				remoteAddress: req.socket.remoteAddress || "",
+				user: getUser(req.headers.authorization),
+				method: req.method,
+				url: req.url,
+				httpVersion: req.httpVersion,
+				route: req.routePath || null,
+				status: res.statusCode,
+				bytes: res.bytesSent || 0,
+				duration: performance.now() - startTime,
+				referrer: req.headers["referer"] || req.headers["referrer"] || null,
+				userAgent: req.headers["user-agent"] || null
+			}) + "\n");
+		});
+
+		next();
+	};
+}
+
+/**
+ * Formats a time the way the Common Log Format expects it (e.g. 10/Oct/2024:13:55:36 +0000)
+ * @param {Date} time - the time
+ * @returns {String} the formatted time, in UTC
+ */
+function formatTime(time) {
+	const pad = n => String(n).padStart(2, "0");
+
+	return `${pad(time.getUTCDate())}/${MONTHS[time.getUTCMonth()]}/${time.getUTCFullYear()}:${pad(time.getUTCHours())}:${pad(time.getUTCMinutes())}:${pad(time.getUTCSeconds())} +0000`;
+}
+
+/**
+ * Escapes the quotes, backslashes and control characters of a value sent by the client, so it can't break (or forge) the lines of the log
+ * @param {String} value - the value
+ * @returns {String} the escaped value
+ */
+function escape(value) {
+	return String(value).replace(/["\\\x00-\x1f\x7f]/g, c => c === "\"" || c === "\\" ? "\\" + c : `\\x${c.charCodeAt(0).toString(16).padStart(2, "0")}`);
+}
+
+/**
+ * Gets the user name from an Authorization header with Basic authentication
+ * @param {String} [header] - the Authorization header
+ * @returns {?String} the user name, or null if there isn't one
+ */
+function getUser(header) {
+	const match = /^Basic\s+([A-Za-z0-9+/=]+)\s*$/i.exec(header || "");
+	if (!match)
+		return null;
+
+	const credentials = Buffer.from(match[1], "base64").toString("utf8");
+	const separatorIndex = credentials.indexOf(":");
+
+	return separatorIndex > 0 ? credentials.slice(0, separatorIndex) : null;
+}
+
+accessLog.formats = formats;
+
+module.exports = accessLog;
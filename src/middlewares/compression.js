@@ -0,0 +1,232 @@
+const zlib = require("zlib");
+const { addVary } = require("../vary");
+const { getLength } = require("../chunkLength");
+
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ */
+
+/**
+ * Content types worth compressing (images, videos, archives and the like are usually compressed already)
+ * @type {RegExp}
+ */
+const COMPRESSIBLE_TYPE = /^(text\/|application\/(json|javascript|ecmascript|xml|x-www-form-urlencoded|wasm|manifest\+json)|image\/svg\+xml|font\/(ttf|otf)|application\/[\w.-]+\+(json|xml))/i;
+
+/**
+ * The functions creating the compression streams of the supported encodings
+ * @type {Object.<String, function(Object): import("zlib").Transform>}
+ */
+const encoders = {
+	br: options => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: options.brotliQuality } }),
+	gzip: options => zlib.createGzip({ level: options.level }),
+	deflate: options => zlib.createDeflate({ level: options.level })
+};
+
+/**
+ * Creates a middleware which compresses responses with the encoding the client prefers
+ * @param {Object} [options] - the options of the middleware
+ * @param {Number} [options.threshold=1024] - the minimum size of a response body (in bytes) that gets compressed
+ * @param {String[]} [options.encodings=["br", "gzip", "deflate"]] - the encodings the middleware may use, in order of preference
+ * @param {Number} [options.level=zlib.constants.Z_DEFAULT_COMPRESSION] - the compression level of gzip and deflate
+ * @param {Number} [options.brotliQuality=4] - the quality of brotli compression (0-11)
+ * @param {function(String): Boolean} [options.filter] - decides whether a response with the given Content-Type should be compressed
+ * @returns {function} the middleware
+ */
+function compression(options={}) {
+	options = {
+		threshold: options.threshold !== undefined ? options.threshold : 1024,
+		encodings: (options.encodings || ["br", "gzip", "deflate"]).filter(encoding => encoders[encoding]),
+		level: options.level !== undefined ? options.level : zlib.constants.Z_DEFAULT_COMPRESSION,
+		brotliQuality: options.brotliQuality !== undefined ? options.brotliQuality : 4,
+		filter: options.filter || (contentType => COMPRESSIBLE_TYPE.test(contentType))
+	};
+
+	return function compressResponse(req, res, done) {
+		const writeHead = res.writeHead, write = res.write, end = res.end;
+
+		// null until the first chunk of the body is written, then the compression stream (or false if the response isn't compressed)
+		let stream = null;
+
+		/**
+		 * Decides whether the response should be compressed once its headers are final, and sets up the compression stream
+		 * @param {(String | Buffer)} [chunk] - the first chunk of the body
+		 * @param {String} [encoding] - the encoding of the chunk, if it's a string
+		 * @param {Boolean} isEnd - the chunk is the whole body
+		 */
+		function start(chunk, encoding, isEnd) {
+			const contentEncoding = shouldCompress(req, res, options, isEnd ? getLength(chunk, encoding) : undefined);
+			if (contentEncoding === null) {
+				stream = false;
+				return;
+			}
+
+			res.setHeader("Content-Encoding", contentEncoding);
+			// The length of the compressed body isn't known in advance
+			res.removeHeader("Content-Length");
+
+			stream = encoders[contentEncoding](options);
+			stream.on("data", data => {
+				if (!write.call(res, data))
+					stream.pause();
+			});
+			stream.on("end", () => end.call(res));
+			stream.on("error", err => res.destroy(err));
+			// Writers waiting for the response to drain are actually waiting for the compression stream
+			stream.on("drain", () => res.emit("drain"));
+
+			res.on("drain", () => stream.resume());
+			res.on("close", () => {
+				// writableFinished is only available since Node.js 12.9, before that finished is set once the compressed body has been ended
+				if (!(res.writableFinished !== undefined ? res.writableFinished : res.finished))
+					stream.destroy();
+			});
+		}
+
+		// The headers are only sent with the first chunk, so they can still be changed once it's known whether the response is compressed
+		res.writeHead = function (statusCode, reason, headers) {
+			// Node calls writeHead itself when the first chunk is written
+			if (stream !== null)
+				return writeHead.apply(res, arguments);
+
+			if (typeof reason !== "string") {
+				headers = reason;
+				reason = undefined;
+			}
+
+			res.statusCode = statusCode;
+			if (reason !== undefined)
+				res.statusMessage = reason;
+
+			if (Array.isArray(headers)) {
+				for (let i = 0; i < headers.length; i += 2)
+					res.setHeader(headers[i], headers[i + 1]);
+			} else if (headers) {
+				for (const name of Object.keys(headers))
+					res.setHeader(name, headers[name]);
+			}
+
+			return res;
+		};
+
+		res.write = function (chunk, encoding, callback) {
+			if (stream === null)
+				start(chunk, encoding, false);
+
+			return stream ? stream.write(chunk, encoding, callback) : write.call(res, chunk, encoding, callback);
+		};
+
+		res.end = function (chunk, encoding, callback) {
+			if (typeof chunk === "function") {
+				callback = chunk;
+				chunk = undefined;
+			} else if (typeof encoding === "function") {
+				callback = encoding;
+				encoding = undefined;
+			}
+
+			if (stream === null)
+				start(chunk, encoding, true);
+
+			if (!stream)
+				return end.call(res, chunk, encoding, callback);
+
+			if (callback)
+				res.once("finish", callback);
+
+			if (chunk !== undefined && chunk !== null)
+				stream.end(chunk, encoding);
+			else
+				stream.end();
+
+			return res;
+		};
+
+		/**
+		 * Sends the data compressed so far to the client (useful for long-lived streamed responses, e.g. server-sent events)
+		 */
+		res.flush = () => {
+			if (stream)
+				stream.flush();
+		};
+
+		done();
+	};
+}
+
+/**
+ * Finds the encoding a response should be compressed with
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @param {ServerResponse} res - the response object that the server will send back
+ * @param {Object} options - the options of the middleware
+ * @param {Number} [length] - the length of the body, if the whole body is known
+ * @returns {?String} the encoding, or null if the response shouldn't be compressed
+ */
+function shouldCompress(req, res, options, length) {
+	if (res.hasHeader("Content-Encoding"))
+		return null;
+
+	// Informational, empty and partial responses can't be compressed
+	if (res.statusCode < 200 || res.statusCode === 204 || res.statusCode === 206 || res.statusCode === 304)
+		return null;
+
+	const contentType = res.getHeader("Content-Type");
+	if (!contentType || !options.filter(String(contentType)))
+		return null;
+
+	// The response depends on the Accept-Encoding header even if this client doesn't get a compressed one
+	addVary(res, "Accept-Encoding");
+
+	// HEAD responses get the same headers as GET ones (Vary included), but there's no body to compress
+	if (req.method === "HEAD")
+		return null;
+
+	if (/\bno-transform\b/i.test(res.getHeader("Cache-Control") || ""))
+		return null;
+
+	if (res.hasHeader("Content-Length"))
+		length = Number(res.getHeader("Content-Length"));
+	if (length !== undefined && length < options.threshold)
+		return null;
+
+	return negotiate(req.headers["accept-encoding"], options.encodings);
+}
+
+/**
+ * Chooses the encoding the client prefers from the available ones (the order of the available encodings decides ties)
+ * @param {String} [header] - the Accept-Encoding header of the request
+ * @param {String[]} encodings - the available encodings
+ * @returns {?String} the chosen encoding, or null if the client doesn't accept any of them
+ */
+function negotiate(header, encodings) {
+	if (!header)
+		return null;
+
+	const qualities = {};
+	for (const part of header.split(",")) {
+		const [coding, ...params] = part.split(";").map(s => s.trim().toLowerCase());
+		let quality = 1;
+
+		for (const param of params) {
+			const [name, value] = param.split("=").map(s => s.trim());
+			if (name === "q")
+				quality = Number(value) || 0;
+		}
+
+		qualities[coding] = quality;
+	}
+
+	let best = null, bestQuality = 0;
+	for (const encoding of encodings) {
+		const quality = qualities[encoding] !== undefined ? qualities[encoding] : qualities["*"] || 0;
+
+		if (quality > bestQuality) {
+			best = encoding;
+			bestQuality = quality;
+		}
+	}
+
+	return best;
+}
+
+module.exports = compression;
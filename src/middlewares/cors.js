@@ -0,0 +1,107 @@
+const { addVary } = require("../vary");
+
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ * @typedef {(String | RegExp | function(String, IncomingMessage): (Boolean | Promise.<Boolean>))} OriginRule
+ */
+
+/**
+ * Creates a CORS middleware, which adds the Access-Control-* headers to the responses sent to allowed origins and answers preflight requests
+ * The allowed methods of a preflight request are the methods of the routes matching its path, unless the methods option is set
+ * @param {Object} [options] - the options of the middleware
+ * @param {(OriginRule | OriginRule[])} [options.origin="*"] - the allowed origins: "*", an origin (e.g. "https://example.com"), a regular expression, a function deciding whether an origin is allowed, or an array of these
+ * @param {Boolean} [options.credentials=false] - allow requests with credentials (cookies, authorization headers)
+ * @param {String[]} [options.methods] - the methods allowed in preflight requests
+ * @param {String[]} [options.allowedHeaders] - the request headers allowed in preflight requests (the headers requested by the client by default)
+ * @param {String[]} [options.exposedHeaders] - the response headers the client's scripts can read
+ * @param {Number} [options.maxAge] - the number of seconds the client may cache the answer of a preflight request for
+ * @returns {function} the middleware
+ */
+function cors(options={}) {
+	const rules = [].concat(options.origin !== undefined ? options.origin : "*");
+	const allowsAny = rules.includes("*");
+
+	// Browsers reject credentialed responses with a wildcard origin, and reflecting every origin instead would allow any site to use the credentials
+	if (allowsAny && options.credentials)
+		throw new Error("CORS: credentials can't be allowed for every origin (*), the allowed origins have to be listed");
+
+	return async function handleCors(req, res, next) {
+		const origin = req.headers.origin;
+		if (!origin) {
+			next();
+			return;
+		}
+
+		if (!allowsAny) {
+			// The response depends on the origin of the request, so caches have to store it per origin
+			addVary(res, "Origin");
+
+			if (!await isAllowed(origin, rules, req)) {
+				next();
+				return;
+			}
+		}
+
+		res.setHeader("Access-Control-Allow-Origin", allowsAny ? "*" : origin);
+		if (options.credentials)
+			res.setHeader("Access-Control-Allow-Credentials", "true");
+
+		const requestedMethod = req.headers["access-control-request-method"];
+		if (req.method.toUpperCase() !== "OPTIONS" || !requestedMethod) {
+			if (options.exposedHeaders)
+				res.setHeader("Access-Control-Expose-Headers", options.exposedHeaders.join(", "));
+
+			next();
+			return;
+		}
+
+		let methods = options.methods || req.allowedMethods || (req.router ? req.router.getAllowedMethods(req.path) : []);
+
+		// Preflight requests of paths without a route are answered by the fallback
+		if (methods.length === 0) {
+			next();
+			return;
+		}
+
+		if (methods.includes("ALL"))
+			methods = methods.filter(method => method !== "ALL").concat(requestedMethod.toUpperCase());
+
+		const headers = {
+			"Access-Control-Allow-Methods": Array.from(new Set(methods)).join(", ")
+		};
+
+		if (options.allowedHeaders)
+			headers["Access-Control-Allow-Headers"] = options.allowedHeaders.join(", ");
+		else if (req.headers["access-control-request-headers"]) {
+			headers["Access-Control-Allow-Headers"] = req.headers["access-control-request-headers"];
+			addVary(res, "Access-Control-Request-Headers");
+		}
+
+		if (options.maxAge !== undefined)
+			headers["Access-Control-Max-Age"] = options.maxAge;
+
+		res.writeHead(204, headers);
+		res.end();
+	};
+}
+
+/**
+ * Checks whether an origin is allowed by any of the rules
+ * @param {String} origin - the Origin header of the request
+ * @param {OriginRule[]} rules - the allowed origins
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @returns {Promise.<Boolean>} true if the origin is allowed
+ */
+async function isAllowed(origin, rules, req) {
+	for (const rule of rules) {
+		if (typeof rule === "string" ? rule === origin :
+			rule instanceof RegExp ? rule.test(origin) :
+			typeof rule === "function" && await rule(origin, req))
+			return true;
+	}
+
+	return false;
+}
+
+module.exports = cors;
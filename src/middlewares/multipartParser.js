@@ -0,0 +1,610 @@
+const { createWriteStream, unlink } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const { randomBytes } = require("crypto");
+const { PassThrough, pipeline, finished } = require("stream");
+
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ * @typedef {{ fieldName: String, filename: String, mimeType: String, size: Number, path: ?String }} UploadedFile
+ */
+
+/**
+ * The maximum size of the headers of a single part, in bytes
+ * @type {Number}
+ */
+const MAX_HEADER_SIZE = 16 * 1024;
+
+/**
+ * Error thrown while parsing a multipart body, which decides the response sent to the client
+ */
+class MultipartError extends Error {
+	/**
+	 * @constructor
+	 * @param {Number} statusCode - the status code of the response
+	 * @param {String} responseType - the key of the response message in the responses table (e.g. "400m")
+	 * @param {String} message - description of the error
+	 */
+	constructor(statusCode, responseType, message) {
+		super(message);
+		this.statusCode = statusCode;
+		this.responseType = responseType;
+	}
+}
+
+/**
+ * Splits a multipart body into parts, without storing more of it in memory than necessary
+ */
+class MultipartStreamParser {
+	/**
+	 * @constructor
+	 * @param {String} boundary - the boundary separating the parts
+	 * @param {{ onPartStart: function(Object.<String, String>), onPartData: function(Buffer), onPartEnd: function() }} handlers - functions called when a part's headers, a piece of its content, or its end is found
+	 */
+	constructor(boundary, handlers) {
+		this.boundary = Buffer.from(`--${boundary}`);
+		this.delimiter = Buffer.from(`\r\n--${boundary}`);
+		this.handlers = handlers;
+		this.buffer = Buffer.alloc(0);
+
+		/** @type {"preamble" | "boundary" | "headers" | "body" | "end"} */
+		this.state = "preamble";
+	}
+
+	/**
+	 * Processes the next chunk of the body
+	 * @param {Buffer} chunk - the chunk
+	 * @throws {MultipartError} if the body is malformed, or one of the handlers throws an error
+	 */
+	write(chunk) {
+		this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+		while (this.step());
+	}
+
+	/**
+	 * Checks whether the closing boundary has been found
+	 * @returns {Boolean} true if the whole body has been processed, false otherwise
+	 */
+	isFinished() {
+		return this.state === "end";
+	}
+
+	/**
+	 * Processes as much of the buffered data as possible in the current state
+	 * @returns {Boolean} true if the state has changed and processing should continue, false if more data is needed
+	 */
+	step() {
+		switch (this.state) {
+			case "preamble": {
+				const index = this.buffer.indexOf(this.boundary);
+
+				if (index === -1) {
+					// Everything before the first boundary is ignored, except for the part that could be the beginning of the boundary
+					this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - this.boundary.length + 1));
+					return false;
+				}
+
+				this.buffer = this.buffer.subarray(index + this.boundary.length);
+				this.state = "boundary";
+				return true;
+			}
+
+			case "boundary": {
+				if (this.buffer.length < 2)
+					return false;
+
+				if (this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) {
+					this.buffer = Buffer.alloc(0);
+					this.state = "end";
+					return false;
+				}
+
+				const index = this.buffer.indexOf("\r\n");
+
+				if (index === -1) {
+					if (this.buffer.length > 1024)
+						throw new MultipartError(400, "400m", "Malformed multipart boundary");
+
+					return false;
+				}
+
+				// Only whitespace (transport padding) is allowed between the boundary and the line break
+				if (this.buffer.subarray(0, index).toString("latin1").trim() !== "")
+					throw new MultipartError(400, "400m", "Malformed multipart boundary");
+
+				this.buffer = this.buffer.subarray(index + 2);
+				this.state = "headers";
+				return true;
+			}
+
+			case "headers": {
+				let headers;
+
+				if (this.buffer.length >= 2 && this.buffer[0] === 0x0d && this.buffer[1] === 0x0a) {
+					headers = {};
+					this.buffer = this.buffer.subarray(2);
+				} else {
+					const index = this.buffer.indexOf("\r\n\r\n");
+
+					if (index === -1) {
+						if (this.buffer.length > MAX_HEADER_SIZE)
+							throw new MultipartError(400, "400m", "The headers of a multipart part are too large");
+
+						return false;
+					}
+
+					headers = parseHeaders(this.buffer.subarray(0, index).toString("utf8"));
+					this.buffer = this.buffer.subarray(index + 4);
+				}
+
+				this.state = "body";
+				this.handlers.onPartStart(headers);
+				return true;
+			}
+
+			case "body": {
+				const index = this.buffer.indexOf(this.delimiter);
+
+				if (index === -1) {
+					// The end of the buffer could be the beginning of the delimiter, so it's kept until the next chunk arrives
+					const safeLength = this.buffer.length - this.delimiter.length + 1;
+
+					if (safeLength > 0) {
+						this.handlers.onPartData(this.buffer.subarray(0, safeLength));
+						this.buffer = this.buffer.subarray(safeLength);
+					}
+
+					return false;
+				}
+
+				if (index > 0)
+					this.handlers.onPartData(this.buffer.subarray(0, index));
+
+				this.buffer = this.buffer.subarray(index + this.delimiter.length);
+				this.state = "boundary";
+				this.handlers.onPartEnd();
+				return true;
+			}
+
+			default:
+				// Everything after the closing boundary (epilogue) is ignored
+				this.buffer = Buffer.alloc(0);
+				return false;
+		}
+	}
+}
+
+/**
+ * Creates a storage function which writes uploaded files into a directory with a random name
+ * @param {String} [directory=os.tmpdir()] - the directory the files should be written into
+ * @returns {function(UploadedFile, PassThrough): Promise.<{ path: String }>} the storage function
+ */
+function diskStorage(directory=tmpdir()) {
+	return (file, stream) => new Promise((resolve, reject) => {
+		const path = join(directory, `toldi-upload-${randomBytes(16).toString("hex")}`);
+
+		pipeline(stream, createWriteStream(path, { flags: "wx" }), err => {
+			if (err)
+				unlink(path, () => reject(err));
+			else
+				resolve({ path });
+		});
+	});
+}
+
+/**
+ * Removes a file written by the disk storage
+ * @param {UploadedFile} file - the uploaded file
+ * @returns {Promise} a promise which resolves once the file has been removed (or if it doesn't exist anymore)
+ */
+function removeFromDisk(file) {
+	return new Promise(resolve => {
+		if (file.path)
+			unlink(file.path, () => resolve());
+		else
+			resolve();
+	});
+}
+
+/**
+ * Fills in the missing options of the multipart parser with their default values
+ * @param {Object} [options] - the options provided by the user
+ * @returns {Object} the complete options
+ */
+function getOptions(options={}) {
+	const storage = options.storage || diskStorage(options.uploadDir);
+
+	return {
+		storage,
+		removeFile: options.removeFile || (options.storage ? null : removeFromDisk),
+		keepFiles: options.keepFiles === true,
+		fileSize: options.fileSize || 10 * 1024 * 1024,
+		totalSize: options.totalSize || 50 * 1024 * 1024,
+		files: options.files !== undefined ? options.files : 10,
+		fields: options.fields !== undefined ? options.fields : 100,
+		fieldSize: options.fieldSize || 1024 * 1024
+	};
+}
+
+/**
+ * Parses a multipart/form-data request body, streaming the uploaded files to the storage
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @param {Object} options - the options of the parser (see getOptions)
+ * @returns {Promise.<{ body: Object.<String, (String | String[])>, files: Object.<String, (UploadedFile | UploadedFile[])> }>} a promise which resolves with the text fields and the files, or rejects with a MultipartError
+ */
+function parseMultipart(req, options) {
+	return new Promise((resolve, reject) => {
+		const boundary = getBoundary(req.headers["content-type"]);
+		if (!boundary) {
+			reject(new MultipartError(400, "400m", "Missing multipart boundary"));
+			return;
+		}
+
+		if (Number(req.headers["content-length"]) > options.totalSize) {
+			reject(new MultipartError(413, "413", "The request body is too large"));
+			return;
+		}
+
+		const body = {}, files = {}, storedFiles = [], pending = [];
+		let current = null, totalSize = 0, fieldCount = 0, fileCount = 0, failed = false;
+
+		// The stream of the file the request is paused for (until the storage catches up)
+		let drainingStream = null;
+
+		function stopDraining() {
+			if (drainingStream === null)
+				return;
+
+			drainingStream.removeListener("drain", stopDraining);
+			drainingStream = null;
+
+			if (!failed)
+				req.resume();
+		}
+
+		function fail(err) {
+			if (failed)
+				return;
+
+			failed = true;
+			req.removeListener("data", onData);
+			req.resume();
+
+			if (current && current.stream)
+				current.stream.destroy(err);
+
+			// Files that have already been stored are removed, as the request won't be processed
+			Promise.all(pending.map(promise => promise.catch(() => {})))
+				.then(() => removeFiles(storedFiles, options))
+				.then(() => reject(err));
+		}
+
+		const parser = new MultipartStreamParser(boundary, {
+			onPartStart(headers) {
+				const disposition = parseDisposition(headers["content-disposition"]);
+
+				if (!disposition || disposition.name === undefined)
+					throw new MultipartError(400, "400m", "A multipart part has no field name");
+
+				if (disposition.filename === undefined) {
+					if (++fieldCount > options.fields)
+						throw new MultipartError(413, "413p", "Too many fields");
+
+					current = { fieldName: disposition.name, chunks: [], size: 0 };
+					return;
+				}
+
+				if (++fileCount > options.files)
+					throw new MultipartError(413, "413p", "Too many files");
+
+				const file = {
+					fieldName: disposition.name,
+					filename: sanitizeFilename(disposition.filename),
+					mimeType: headers["content-type"] || "application/octet-stream",
+					size: 0
+				};
+				const stream = new PassThrough();
+
+				// The stream is destroyed with an error if parsing fails, which must not crash the process if the storage hasn't started reading it yet
+				stream.on("error", () => {});
+
+				current = { fieldName: disposition.name, file, stream };
+
+				const stored = Promise.resolve()
+					.then(() => options.storage(file, stream))
+					.then(info => {
+						Object.assign(file, info);
+						storedFiles.push(file);
+						addValue(files, file.fieldName, file);
+					});
+
+				stored.catch(err => fail(toStorageError(err)));
+				pending.push(stored);
+			},
+
+			onPartData(data) {
+				if (current.stream) {
+					current.file.size += data.length;
+					if (current.file.size > options.fileSize)
+						throw new MultipartError(413, "413f", `The file ${current.file.filename} is too large`);
+
+					// The request is paused until the storage catches up, so the file doesn't pile up in memory
+					if (!current.stream.write(data) && drainingStream === null) {
+						drainingStream = current.stream;
+						drainingStream.on("drain", stopDraining);
+						req.pause();
+					}
+				} else {
+					current.size += data.length;
+					if (current.size > options.fieldSize)
+						throw new MultipartError(413, "413p", `The field ${current.fieldName} is too large`);
+
+					current.chunks.push(data);
+				}
+			},
+
+			onPartEnd() {
+				if (current.stream) {
+					// Ending streams don't emit drain events, but nothing else will be written into this one anyway
+					if (drainingStream === current.stream)
+						stopDraining();
+
+					current.stream.end();
+				}
+				else
+					addValue(body, current.fieldName, Buffer.concat(current.chunks).toString("utf8"));
+
+				current = null;
+			}
+		});
+
+		function onData(chunk) {
+			totalSize += chunk.length;
+
+			try {
+				if (totalSize > options.totalSize)
+					throw new MultipartError(413, "413", "The request body is too large");
+
+				parser.write(chunk);
+			} catch (err) {
+				fail(err);
+			}
+		}
+
+		req.on("data", onData);
+		req.on("error", fail);
+		req.on("end", () => {
+			if (failed)
+				return;
+
+			if (!parser.isFinished()) {
+				fail(new MultipartError(400, "400m", "Unexpected end of the multipart body"));
+				return;
+			}
+
+			Promise.all(pending).then(() => resolve({ body, files }), fail);
+		});
+	});
+}
+
+/**
+ * Parses a multipart/form-data request body and stores the result in the request object (req.body and req.files)
+ * If parsing fails, the client receives a response based on the error, and the callback isn't called
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @param {ServerResponse} res - the response object that the server will send back
+ * @param {Object.<String, String>} responses - the response messages sent back on error
+ * @param {Object} options - the options of the parser (see getOptions)
+ * @param {function} done - the callback called once the body has been parsed
+ */
+function handleMultipart(req, res, responses, options, done) {
+	parseMultipart(req, options).then(({ body, files }) => {
+		req.body = body;
+		req.files = files;
+
+		if (!options.keepFiles && options.removeFile) {
+			// Files that haven't been moved by the request handler are removed once the response has been sent
+			finished(res, () => removeFiles([].concat(...Object.values(files)), options));
+		}
+
+		done();
+	}, err => {
+		if (err.statusCode === 500 && req.router)
+			req.router.reportError(err, req);
+
+		if (res.headersSent)
+			return;
+
+		if (err.statusCode < 500 && req.router)
+			req.router.emitter.emit("parserRejected", req, "multipart", err.statusCode, err.responseType);
+
+		res.writeHead(err.statusCode || 500, {"Content-Type": "text/html", "Connection": "close"});
+		res.end(responses[err.responseType] || String(err.statusCode || 500));
+	});
+}
+
+/**
+ * Creates a multipart/form-data parsing middleware (useful for adding different limits or storages to certain routes)
+ * Requests with other content types are passed on without being processed
+ * @param {Object} [options] - the options of the parser
+ * @param {String} [options.uploadDir=os.tmpdir()] - the directory uploaded files are written into (if no storage is provided)
+ * @param {function(UploadedFile, PassThrough): Promise.<Object>} [options.storage] - a function which receives the information of an uploaded file and a stream of its content, and resolves with extra properties for the file once it's stored
+ * @param {function(UploadedFile): Promise} [options.removeFile] - a function which removes a file stored by the storage
+ * @param {Boolean} [options.keepFiles=false] - keep the uploaded files after the response has been sent (otherwise files which are still in the upload directory are removed)
+ * @param {Number} [options.fileSize=10485760] - the maximum size of a single file, in bytes
+ * @param {Number} [options.totalSize=52428800] - the maximum size of the whole request body, in bytes
+ * @param {Number} [options.files=10] - the maximum number of files
+ * @param {Number} [options.fields=100] - the maximum number of text fields
+ * @param {Number} [options.fieldSize=1048576] - the maximum size of a single text field, in bytes
+ * @returns {function} the middleware
+ */
+function multipartParser(options) {
+	options = getOptions(options);
+
+	function parseMultipartBody(req, res, done) {
+		if (req.body !== undefined || getMediaType(req.headers["content-type"]) !== "multipart/form-data") {
+			done();
+			return;
+		}
+
+		handleMultipart(req, res, req.router ? req.router.responses : {}, options, done);
+	}
+
+	// Global body parsers leave multipart requests to this parser on the routes it's used on
+	parseMultipartBody.parsedTypes = ["multipart/form-data"];
+
+	return parseMultipartBody;
+}
+
+/**
+ * Parses the headers of a part
+ * @param {String} headerString - the raw headers
+ * @returns {Object.<String, String>} the headers, with lower case names
+ */
+function parseHeaders(headerString) {
+	const headers = {};
+
+	for (const line of headerString.split("\r\n")) {
+		const separatorIndex = line.indexOf(":");
+		if (separatorIndex === -1)
+			throw new MultipartError(400, "400m", "Malformed multipart header");
+
+		headers[line.slice(0, separatorIndex).trim().toLowerCase()] = line.slice(separatorIndex + 1).trim();
+	}
+
+	return headers;
+}
+
+/**
+ * Parses a Content-Disposition header (e.g. form-data; name="avatar"; filename="me.png")
+ * @param {String} [header] - the header
+ * @returns {?{ type: String, name: ?String, filename: ?String }} the parsed header, or null if it's missing or isn't form-data
+ */
+function parseDisposition(header) {
+	if (!header)
+		return null;
+
+	const separatorIndex = header.indexOf(";");
+	const type = (separatorIndex === -1 ? header : header.slice(0, separatorIndex)).trim().toLowerCase();
+	if (type !== "form-data")
+		return null;
+
+	const params = {}, paramRegExp = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+	let match;
+
+	while ((match = paramRegExp.exec(header)) !== null)
+		params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, "$1") : match[3].trim();
+
+	// filename* (RFC 5987) is preferred over filename, as it can contain any character
+	if (params["filename*"] !== undefined) {
+		const extendedMatch = /^([\w-]+)'[^']*'(.*)$/.exec(params["filename*"]);
+
+		if (extendedMatch) {
+			try {
+				params.filename = decodeURIComponent(extendedMatch[2]);
+			} catch (err) {
+				throw new MultipartError(400, "400m", "Malformed filename");
+			}
+		}
+	}
+
+	return { type, name: params.name, filename: params.filename };
+}
+
+/**
+ * Removes the path, control characters and characters that are reserved in file systems from a filename
+ * @param {String} filename - the filename sent by the client
+ * @returns {String} the sanitized filename
+ */
+function sanitizeFilename(filename) {
+	const sanitized = filename
+		.split(/[\\/]/).pop()
+		.replace(/[\u0000-\u001f\u007f<>:"|?*]/g, "")
+		.replace(/^[\s.]+|[\s.]+$/g, "")
+		.slice(0, 255);
+
+	return sanitized === "" ? "file" : sanitized;
+}
+
+/**
+ * Gets the boundary from a multipart/form-data Content-Type header
+ * @param {String} contentType - the header
+ * @returns {?String} the boundary, or null if the header doesn't contain a valid one
+ */
+function getBoundary(contentType) {
+	const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || "");
+	const boundary = match ? match[1] || match[2] : null;
+
+	return boundary && boundary.length <= 70 ? boundary : null;
+}
+
+/**
+ * Gets the media type from a Content-Type header, without its parameters
+ * @param {String} [contentType] - the header
+ * @returns {?String} the media type in lower case, or null if there's no header
+ */
+function getMediaType(contentType) {
+	if (!contentType)
+		return null;
+
+	const separatorIndex = contentType.indexOf(";");
+	return (separatorIndex === -1 ? contentType : contentType.slice(0, separatorIndex)).trim().toLowerCase();
+}
+
+/**
+ * Adds a value to an object, turning the value into an array if the key is repeated
+ * @param {Object} target - the object
+ * @param {String} key - the key
+ * @param {*} value - the value
+ */
+function addValue(target, key, value) {
+	// Assigning an object to __proto__ would change the prototype of the target
+	if (key === "__proto__")
+		return;
+
+	if (!Object.prototype.hasOwnProperty.call(target, key))
+		target[key] = value;
+	else if (target[key] instanceof Array)
+		target[key].push(value);
+	else
+		target[key] = [target[key], value];
+}
+
+/**
+ * Marks an error thrown by the storage, so the client receives a 500 response
+ * @param {*} err - the error (or rejection reason) of the storage
+ * @returns {Error} the marked error
+ */
+function toStorageError(err) {
+	if (err instanceof MultipartError)
+		return err;
+
+	if (!(err instanceof Error))
+		err = new Error(`Failed to store an uploaded file: ${err}`);
+
+	return Object.assign(err, { statusCode: 500, responseType: "500" });
+}
+
+/**
+ * Removes stored files with the removeFile function of the options
+ * @param {UploadedFile[]} files - the files that should be removed
+ * @param {Object} options - the options of the parser
+ * @returns {Promise} a promise which resolves once every file has been removed
+ */
+function removeFiles(files, options) {
+	if (!options.removeFile)
+		return Promise.resolve();
+
+	return Promise.all(files.map(file => Promise.resolve().then(() => options.removeFile(file)).catch(() => {})));
+}
+
+module.exports = {
+	multipartParser,
+	handleMultipart,
+	parseMultipart,
+	diskStorage,
+	getOptions,
+	getMediaType,
+	MultipartError
+};
@@ -0,0 +1,254 @@
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ */
+
+/**
+ * @typedef {Object} RateLimitStore
+ * @property {function(String, Number): ({ count: Number, resetTime: Number } | Promise.<{ count: Number, resetTime: Number }>)} increment - atomically increments the counter of a key, starting a new window of the given number of milliseconds if it doesn't exist or has expired, and returns the new count with the time the window ends at (in milliseconds)
+ * @property {function(String, Number, Number): ({ taken: Boolean, tokens: Number } | Promise.<{ taken: Boolean, tokens: Number }>)} [takeToken] - atomically refills the bucket of a key (which holds the given number of tokens, and is refilled from empty in the given number of milliseconds), then takes a token from it if there is one, and returns whether a token was taken with the number of tokens left (only needed by the token bucket algorithm)
+ */
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {Boolean} allowed - the request is within the limit
+ * @property {Number} remaining - the number of requests the client can still send
+ * @property {Number} reset - the number of seconds until the limit is fully reset
+ * @property {Number} retryAfter - the number of seconds the client has to wait before sending another request (if it isn't allowed)
+ */
+
+/**
+ * Stores the state of the rate limits in memory, removing the expired entries periodically
+ * The counters aren't shared between processes, so servers running in multiple processes need a shared store
+ */
+class MemoryRateLimitStore {
+	/**
+	 * @constructor
+	 * @param {Object} [options] - the options of the store
+	 * @param {Number} [options.checkPeriod=60] - the number of seconds between removing the expired entries
+	 */
+	constructor(options={}) {
+		/**
+		 * The counters and buckets with their expiry time
+		 * @type {Map.<String, { count: Number, tokens: Number, updatedAt: Number, expires: Number }>}
+		 */
+		this.entries = new Map();
+
+		this.sweepTimer = setInterval(() => this.sweep(), (options.checkPeriod || 60) * 1000);
+		// Sweeping is housekeeping only: a server that has stopped listening can exit without calling close()
+		this.sweepTimer.unref();
+	}
+
+	/**
+	 * Increments the counter of a key
+	 * @param {String} key - the key
+	 * @param {Number} windowMs - the length of a new window in milliseconds
+	 * @returns {{ count: Number, resetTime: Number }} the new count, and the time the window ends at
+	 */
+	increment(key, windowMs) {
+		const now = Date.now();
+		let entry = this.entries.get(key);
+
+		if (!entry || entry.expires <= now) {
+			entry = { count: 0, expires: now + windowMs };
+			this.entries.set(key, entry);
+		}
+
+		entry.count++;
+
+		return { count: entry.count, resetTime: entry.expires };
+	}
+
+	/**
+	 * Refills the bucket of a key, and takes a token from it if there is one
+	 * @param {String} key - the key
+	 * @param {Number} size - the number of tokens the bucket holds
+	 * @param {Number} windowMs - the number of milliseconds it takes to refill an empty bucket
+	 * @returns {{ taken: Boolean, tokens: Number }} whether a token was taken, and the number of tokens left
+	 */
+	takeToken(key, size, windowMs) {
+		const now = Date.now();
+		const entry = this.entries.get(key);
+		let tokens = entry && entry.expires > now ? Math.min(size, entry.tokens + (now - entry.updatedAt) / windowMs * size) : size;
+
+		const taken = tokens >= 1;
+		if (taken)
+			tokens -= 1;
+
+		// The entry isn't needed anymore once the bucket is full again
+		this.entries.set(key, { tokens, updatedAt: now, expires: now + Math.max((size - tokens) / size * windowMs, 1000) });
+
+		return { taken, tokens };
+	}
+
+	/**
+	 * Removes every expired entry
+	 */
+	sweep() {
+		const now = Date.now();
+
+		for (const [key, entry] of this.entries) {
+			if (entry.expires <= now)
+				this.entries.delete(key);
+		}
+	}
+
+	/**
+	 * Stops removing the expired entries periodically
+	 */
+	close() {
+		clearInterval(this.sweepTimer);
+	}
+}
+
+/**
+ * The rate limiting algorithms, which count a request using the atomic operations of the store
+ * @type {Object.<String, function(RateLimitStore, String, Number, Number): Promise.<RateLimitResult>>}
+ */
+const algorithms = {
+	/**
+	 * Allows limit requests in every window, starting a new window once the previous one is over
+	 * @param {RateLimitStore} store - the store of the counters
+	 * @param {String} key - the key of the client in the store
+	 * @param {Number} limit - the number of requests allowed in a window
+	 * @param {Number} window - the length of a window in seconds
+	 * @returns {Promise.<RateLimitResult>} the result
+	 */
+	"fixed-window": async (store, key, limit, window) => {
+		const { count, resetTime } = await store.increment(key, window * 1000);
+		const reset = Math.max(Math.ceil((resetTime - Date.now()) / 1000), 0);
+
+		return {
+			allowed: count <= limit,
+			remaining: Math.max(limit - count, 0),
+			reset,
+			retryAfter: reset
+		};
+	},
+
+	/**
+	 * Allows bursts of limit requests, while refilling the bucket at a rate of limit requests per window
+	 * @param {RateLimitStore} store - the store of the buckets
+	 * @param {String} key - the key of the client in the store
+	 * @param {Number} limit - the size of the bucket
+	 * @param {Number} window - the number of seconds it takes to refill an empty bucket
+	 * @returns {Promise.<RateLimitResult>} the result
+	 */
+	"token-bucket": async (store, key, limit, window) => {
+		const { taken, tokens } = await store.takeToken(key, limit, window * 1000);
+		const rate = limit / window;
+
+		return {
+			allowed: taken,
+			remaining: Math.floor(tokens),
+			reset: Math.ceil((limit - tokens) / rate),
+			retryAfter: taken ? 0 : Math.ceil((1 - tokens) / rate)
+		};
+	}
+};
+
+/**
+ * Used for telling apart the keys of different rate limits sharing a store
+ * @type {Number}
+ */
+let limiterCount = 0;
+
+/**
+ * Creates a rate limiting middleware, which answers requests over the limit with the 429 response
+ * @param {Object} [options] - the options of the rate limit
+ * @param {Number} [options.limit=100] - the number of requests allowed in a window (or the size of the bucket)
+ * @param {Number} [options.window=60] - the length of a window in seconds (or the time it takes to refill the bucket)
+ * @param {String} [options.algorithm="fixed-window"] - the algorithm of the rate limit ("fixed-window" or "token-bucket")
+ * @param {function(IncomingMessage): ?String} [options.key=rateLimit.byIp] - returns the key the requests are counted by (requests without a key aren't limited)
+ * @param {RateLimitStore} [options.store=new MemoryRateLimitStore()] - the store the counters are kept in
+ * @param {String} [options.name] - the name of the rate limit, which prefixes its keys in the store (needed if rate limits sharing a store should count together)
+ * @param {Boolean} [options.headers=true] - add the RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers to the responses
+ * @param {function(IncomingMessage): Boolean} [options.skip] - returns true for requests that shouldn't be limited
+ * @returns {function} the middleware
+ */
+function rateLimit(options={}) {
+	const limit = options.limit || 100;
+	const window = options.window || 60;
+	const algorithm = algorithms[options.algorithm || "fixed-window"];
+	const getKey = options.key || byIp;
+	const store = options.store || new MemoryRateLimitStore();
+	const prefix = `${options.name || `limit${limiterCount++}`}:`;
+
+	if (!algorithm)
+		throw new Error(`Unknown rate limiting algorithm: ${options.algorithm}`);
+
+	const storeFunction = options.algorithm === "token-bucket" ? "takeToken" : "increment";
+	if (typeof store[storeFunction] !== "function")
+		throw new Error(`The store of the ${options.algorithm || "fixed-window"} rate limit has to implement ${storeFunction}`);
+
+	return async function limitRate(req, res, next) {
+		if (options.skip && options.skip(req)) {
+			next();
+			return;
+		}
+
+		const key = getKey(req);
+		if (key === null || key === undefined) {
+			next();
+			return;
+		}
+
+		const result = await algorithm(store, prefix + key, limit, window);
+
+		if (options.headers !== false) {
+			res.setHeader("RateLimit-Policy", `${limit};w=${window}`);
+			res.setHeader("RateLimit-Limit", limit);
+			res.setHeader("RateLimit-Remaining", result.remaining);
+			res.setHeader("RateLimit-Reset", result.reset);
+		}
+
+		if (result.allowed) {
+			next();
+			return;
+		}
+
+		res.writeHead(429, {"Content-Type": "text/html", "Retry-After": result.retryAfter});
+		res.end((req.router ? req.router.responses : {})["429"] || "429");
+	};
+}
+
+/**
+ * Key function which counts requests by the IP address of the client
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @returns {?String} the IP address
+ */
+function byIp(req) {
+	return req.socket.remoteAddress || null;
+}
+
+/**
+ * Creates a key function which counts requests by the value of a header (e.g. an API key)
+ * @param {String} name - the name of the header
+ * @returns {function(IncomingMessage): ?String} the key function
+ */
+function byHeader(name) {
+	name = name.toLowerCase();
+
+	return req => req.headers[name] || null;
+}
+
+/**
+ * Creates a key function which counts requests by the value of a cookie (the cookie parser has to run before the rate limit)
+ * @param {String} name - the name of the cookie
+ * @param {Boolean} [signed=false] - use the verified value of a signed cookie
+ * @returns {function(IncomingMessage): ?String} the key function
+ */
+function byCookie(name, signed=false) {
+	return req => {
+		const cookies = signed ? req.signedCookies : req.cookies;
+		const value = cookies ? cookies[name] : undefined;
+
+		return value === undefined || value === false ? null : String(value);
+	};
+}
+
+rateLimit.byIp = byIp;
+rateLimit.byHeader = byHeader;
+rateLimit.byCookie = byCookie;
+
+module.exports = { rateLimit, MemoryRateLimitStore };
@@ -4,11 +4,48 @@
  * @param {ServerResponse} res - the response object that the server will send back
  * @param {function} done - the callback function the middleware calls once it's finished processing the request
  */
-module.exports = (req, res, done) => {
-	res.redirect = path => {
-		res.writeHead(302, { "Location": path });
+module.exports = function redirectToResponse(req, res, done) {
+	/**
+	 * Redirects the client to a path, or to the URL of a named route
+	 * @param {String} path - the path, or the name of a route (see Router.url)
+	 * @param {Number} [code=302] - the status code of the redirect (any 3xx code), can be left out
+	 * @param {Object.<String, *>} [params] - the path parameters of the named route
+	 * @param {Object.<String, *>} [query] - the query parameters of the named route
+	 */
+	res.redirect = (path, code, params, query) => {
+		if (typeof code !== "number") {
+			query = params;
+			params = code;
+			code = 302;
+		}
+
+		if (!Number.isInteger(code) || code < 300 || code > 399)
+			throw new RangeError(`Invalid redirect status code: ${code}`);
+
+		res.writeHead(code, { "Location": resolveLocation(req, path, params, query) });
 		res.end();
 	}
 	
 	done();
-}
\ No newline at end of file
+}
+
+/**
+ * Resolves the location of a redirect, which is either a path or the name of a route
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @param {String} path - the path, or the name of a route
+ * @param {Object.<String, *>} [params] - the path parameters of the named route
+ * @param {Object.<String, *>} [query] - the query parameters of the named route
+ * @returns {String} the location the client should be redirected to
+ */
+function resolveLocation(req, path, params, query) {
+	// Paths (e.g. /login) and absolute URLs can't be route names
+	if (!req.router || path[0] === "/" || path.includes("://"))
+		return path;
+
+	if (req.router.findPath(path, params || {}) === null)
+		return path;
+
+	return req.router.url(path, params, query);
+}
+
+module.exports.resolveLocation = resolveLocation;
@@ -1,110 +1,224 @@
-let responses;
+const { TextDecoder } = require("util");
+const { handleMultipart, getOptions, getMediaType } = require("./multipartParser");
+const { verifyCookie } = require("../cookie");
 
-exports.init = resps => {
-	responses = resps || {};
-	
-	/**
-	 * Body parsing middleware
-	 * @param {IncomingMessage} req - the request object coming from the client
-	 * @param {ServerResponse} res - the response object that the server will send back
-	 * @param {function} done - the callback function the middleware calls once it's finished processing the request
-	 */
-	exports.bodyParser = (req, res, done) => {
-		function reportInvalidSyntax() {
-			res.writeHead(400, {"Content-Type": "text/html"});
-			res.end(responses["400b"] || "400");
+/**
+ * The content types parsed by the body parser by default
+ * @type {String[]}
+ */
+const DEFAULT_TYPES = ["application/json", "application/x-www-form-urlencoded", "multipart/form-data", "text/*"];
+
+/**
+ * Creates a body parsing middleware
+ * Requests whose body has already been parsed are passed on without being processed
+ * A body parser leaves the request to a more specific one accepting the request's content type (of a mounted router, the route or the method), if the route handling it has one
+ * @param {Object} [options] - the options of the parser
+ * @param {Number} [options.limit=1048576] - the maximum size of the body in bytes (multipart bodies have their own limits)
+ * @param {(String | String[])} [options.types] - the media types the parser accepts, wildcards like "text/*" or "*\/*" are allowed (json, x-www-form-urlencoded, multipart/form-data and text/* by default)
+ * @param {Boolean} [options.raw=false] - add the unparsed body to the request object's rawBody property as a Buffer
+ * @param {Object} [options.multipart] - the options of the multipart parser (see multipartParser)
+ * @param {Object.<String, String>} [responses] - the response messages sent back on error (the ones of the request's router by default)
+ * @returns {function} the middleware
+ */
+function createBodyParser(options={}, responses) {
+	const limit = options.limit || 1024 * 1024;
+	const types = [].concat(options.types || DEFAULT_TYPES).map(type => type.toLowerCase());
+	const multipartOptions = getOptions(options.multipart);
+
+	function bodyParser(req, res, done) {
+		const resps = responses || (req.router ? req.router.responses : {});
+
+		function reject(statusCode, responseType) {
+			if (res.headersSent)
+				return;
+
+			if (req.router)
+				req.router.emitter.emit("parserRejected", req, "body", statusCode, responseType);
+
+			const headers = {"Content-Type": "text/html"};
+			// The rest of the body isn't read, so the connection can't be reused
+			if (!req.complete)
+				headers["Connection"] = "close";
+
+			res.writeHead(statusCode, headers);
+			res.end(resps[responseType] || String(statusCode));
 		}
 
-		const data = [];
+		if (req.body !== undefined || !req.headers["content-type"]) {
+			done();
+			return;
+		}
+
+		const mediaType = getMediaType(req.headers["content-type"]);
 
-		if (!req.headers["content-type"]) {
+		if (req.router && hasMoreSpecificParser(req, bodyParser, mediaType)) {
 			done();
 			return;
 		}
 
+		if (!isAccepted(mediaType, types))
+			return reject(415, "415");
+
+		if (mediaType === "multipart/form-data") {
+			handleMultipart(req, res, resps, multipartOptions, done);
+			return;
+		}
+
+		let decoder;
+		try {
+			decoder = new TextDecoder(getCharset(req.headers["content-type"]) || "utf-8");
+		} catch (err) {
+			return reject(415, "415");
+		}
+
+		if (Number(req.headers["content-length"]) > limit)
+			return reject(413, "413");
+
+		const data = [];
+		let size = 0, aborted = false;
+
 		req.on("data", chunk => {
+			if (aborted)
+				return;
+
+			size += chunk.length;
+			if (size > limit) {
+				aborted = true;
+				return reject(413, "413");
+			}
+
 			data.push(chunk);
 		});
 
 		req.on("end", () => {
-			let body = data.join(""), contentType = req.headers["content-type"], separatorIndex = contentType.indexOf(";");
-
-			if (separatorIndex !== -1)
-				contentType = contentType.slice(0, separatorIndex);
-
-			switch (contentType) {
-				case "application/x-www-form-urlencoded":
-					req.body = parseQuery(body, true);
-					if (req.body === null)
-						return reportInvalidSyntax();
-
-					break;
-				
-				case "application/json":
-					try {
-						req.body = JSON.parse(body.trim());
-					} catch (err) {
-						return reportInvalidSyntax();
-					}
-					break;
-
-				case undefined:
-				case null:
-					req.body = {};
-					break;
-			
-				default:
-					res.writeHead(415, {"Content-Type": "text/html"});
-					res.end(responses["415"] || "415");
-					return;
+			if (aborted)
+				return;
+
+			// Chunks are joined before decoding, so characters split between chunks stay intact
+			const raw = Buffer.concat(data, size);
+			if (options.raw)
+				req.rawBody = raw;
+
+			if (mediaType === "application/json") {
+				try {
+					req.body = JSON.parse(decoder.decode(raw).trim());
+				} catch (err) {
+					return reject(400, "400b");
+				}
 			}
+			else if (mediaType === "application/x-www-form-urlencoded") {
+				req.body = parseQuery(decoder.decode(raw), true, decoder.encoding);
+				if (req.body === null)
+					return reject(400, "400b");
+			}
+			else if (mediaType.startsWith("text/"))
+				req.body = decoder.decode(raw);
+			else
+				req.body = raw;
 
 			done();
 		});
 	}
 
-	/**
-	 * Query parsing middleware
-	 * @param {IncomingMessage} req - the request object coming from the client
-	 * @param {ServerResponse} res - the response object that the server will send back
-	 * @param {function} done - the callback function the middleware calls once it's finished processing the request
-	 */
-	exports.queryParser = (req, res, done) => {
-		const separatorIndex = req.url.indexOf("?");
-		if (separatorIndex === -1) {
-			done();
-			return;
-		}
+	// Lets less specific body parsers find out which requests this parser would accept
+	bodyParser.parsedTypes = types;
 
-		const queryString = req.url.slice(separatorIndex + 1);
-		const query = parseQuery(queryString, true);
+	return bodyParser;
+}
 
-		if (query === null) {
-			res.writeHead(400, {"Content-Type": "text/html"});
-			res.end(responses["400q"] || "400");
-			return;
-		}
+/**
+ * Checks whether the route a request is going to be handled by has a body parser accepting the request's media type on a more specific level than the given parser
+ * The levels are walked the way the request enters them: the router's global middlewares, the mounts leading to the route (with the global middlewares of the mounted routers), the route and its handler
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @param {function} parser - the body parser deciding whether it should parse the request
+ * @param {String} mediaType - the media type of the request body
+ * @returns {Boolean} true if there's such a body parser
+ */
+function hasMoreSpecificParser(req, parser, mediaType) {
+	const match = req.router.findRoute(req.method, req.path);
+	if (match === null)
+		return false;
+
+	const lists = [req.router.middlewares];
+	for (const mount of match.mounts)
+		lists.push(mount.middlewares, mount.router.middlewares);
+	lists.push(match.route.middlewares, match.handler.middlewares);
+
+	// Parsers which aren't on any of the levels (e.g. called by another middleware) always parse the request
+	const level = lists.findIndex(list => list.includes(parser));
+	if (level === -1)
+		return false;
+
+	return lists.slice(level + 1).some(list => list.some(middleware => middleware !== parser && middleware.parsedTypes && isAccepted(mediaType, middleware.parsedTypes)));
+}
 
-		req.query = query;
-		done();
-	};
+/**
+ * Checks whether a media type matches any of the accepted types
+ * @param {String} mediaType - the media type of the request body
+ * @param {String[]} types - the accepted types (may contain wildcards)
+ * @returns {Boolean} true if the media type is accepted
+ */
+function isAccepted(mediaType, types) {
+	const [type] = mediaType.split("/");
 
-	/**
-	 * Cookie parsing middleware
-	 * @param {IncomingMessage} req - the request object coming from the client
-	 * @param {ServerResponse} res - the response object that the server will send back
-	 * @param {function} done - the callback function the middleware calls once it's finished processing the request
-	 */
-	exports.cookieParser = (req, res, done) => {
+	return types.some(accepted => accepted === mediaType || accepted === "*/*" || accepted === `${type}/*`);
+}
+
+/**
+ * Extracts the charset parameter of a Content-Type header
+ * @param {String} contentType - the header
+ * @returns {?String} the charset, or null if the header doesn't have one
+ */
+function getCharset(contentType) {
+	const match = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType);
+	return match ? match[1] : null;
+}
+
+/**
+ * Creates a cookie parsing middleware
+ * Signed and encrypted cookies are verified with the secret, and stored in the request object's signedCookies property instead of cookies (with the value false if they can't be verified)
+ * @param {Object} [options] - the options of the parser
+ * @param {(String | String[])} [options.secret] - the secret used for signing and encrypting cookies, or every accepted secret when the secret is being rotated (the first one is used for new cookies)
+ * @param {Boolean} [options.raw=false] - keep every value as a string, instead of converting numbers and booleans
+ * @param {function(String): String} [options.decode=decodeURIComponent] - the function used for decoding the values
+ * @param {Object.<String, String>} [responses] - the response messages sent back on error (the ones of the request's router by default)
+ * @returns {function} the middleware
+ */
+function createCookieParser(options={}, responses) {
+	const secrets = options.secret ? [].concat(options.secret) : null;
+	const decode = options.decode || safeDecode;
+
+	return function cookieParser(req, res, done) {
 		function reportInvalidSyntax() {
+			if (req.router)
+				req.router.emitter.emit("parserRejected", req, "cookie", 400, "400c");
+
 			res.writeHead(400, {"Content-Type": "text/html"});
-			res.end(responses["400c"] || "400");
+			res.end((responses || (req.router ? req.router.responses : {}))["400c"] || "400");
 		}
 
-		const cookies = {};
+		const cookies = {}, signedCookies = {};
+
+		function addCookie(key, value) {
+			// Quotes around the value aren't part of it
+			if (value.length > 1 && value[0] === "\"" && value[value.length - 1] === "\"")
+				value = value.slice(1, -1);
+
+			value = decode(value);
+
+			const verified = secrets ? verifyCookie(value, secrets) : undefined;
+			if (verified !== undefined)
+				signedCookies[key] = verified;
+			else
+				cookies[key] = options.raw ? value : convertValue(value);
+		}
+
+		if (secrets)
+			req.cookieSecrets = secrets;
 
 		if (!req.headers.cookie) {
 			req.cookies = {};
+			req.signedCookies = {};
 			done();
 			return;
 		}
@@ -125,12 +239,7 @@ exports.init = resps => {
 				if (keyBuffer === "")
 					return reportInvalidSyntax();
 
-				const num = Number(valueBuffer);
-
-				cookies[keyBuffer] = valueBuffer === "true" ? true :
-									valueBuffer === "false" ? false :
-									!Number.isNaN(num) ? num :
-									valueBuffer;
+				addCookie(keyBuffer, valueBuffer);
 				keyBuffer = "";
 				valueBuffer = "";
 				readingKey = true;
@@ -149,30 +258,137 @@ exports.init = resps => {
 			if (valueBuffer === "" || keyBuffer === "")
 				return reportInvalidSyntax();
 
-			const num = Number(valueBuffer);
-
-			cookies[keyBuffer] = valueBuffer === "true" ? true :
-								valueBuffer === "false" ? false :
-								!Number.isNaN(num) ? num :
-								valueBuffer;
+			addCookie(keyBuffer, valueBuffer);
 		}
 
-
 		req.cookies = cookies;
+		req.signedCookies = signedCookies;
 		done();
+	};
+}
+
+/**
+ * Converts numbers and booleans stored in a cookie into their respective types
+ * @param {String} value - the value of the cookie
+ * @returns {(String | Number | Boolean)} the converted value
+ */
+function convertValue(value) {
+	const num = Number(value);
+
+	return value === "true" ? true :
+		   value === "false" ? false :
+		   value !== "" && !Number.isNaN(num) ? num :
+		   value;
+}
+
+/**
+ * Percent-decodes a cookie value, leaving it as it is if it contains a malformed escape sequence
+ * @param {String} value - the value
+ * @returns {String} the decoded value
+ */
+function safeDecode(value) {
+	try {
+		return decodeURIComponent(value);
+	} catch (err) {
+		return value;
 	}
 }
 
+exports.createBodyParser = createBodyParser;
+exports.createCookieParser = createCookieParser;
+exports.parseQuery = parseQuery;
+
+/**
+ * Sets up the parsing middlewares with the response messages of a router
+ * The middlewares are also stored in the module's exports, but each router should use the ones returned to it
+ * @param {Object.<String, String>} resps - the response messages the middlewares send back on error
+ * @param {Object} [options] - the options of the body parser (see createBodyParser)
+ * @param {Object} [cookieOptions] - the options of the cookie parser (see createCookieParser)
+ * @returns {{ bodyParser: function, queryParser: function, cookieParser: function }} the parsing middlewares
+ */
+exports.init = (resps, options, cookieOptions) => {
+	const responses = resps || {};
+	
+	/**
+	 * Body parsing middleware
+	 * @param {IncomingMessage} req - the request object coming from the client
+	 * @param {ServerResponse} res - the response object that the server will send back
+	 * @param {function} done - the callback function the middleware calls once it's finished processing the request
+	 */
+	exports.bodyParser = createBodyParser(options, responses);
+
+	/**
+	 * Query parsing middleware
+	 * @param {IncomingMessage} req - the request object coming from the client
+	 * @param {ServerResponse} res - the response object that the server will send back
+	 * @param {function} done - the callback function the middleware calls once it's finished processing the request
+	 */
+	exports.queryParser = function queryParser(req, res, done) {
+		const separatorIndex = req.url.indexOf("?");
+		if (separatorIndex === -1) {
+			done();
+			return;
+		}
+
+		const queryString = req.url.slice(separatorIndex + 1);
+		const query = parseQuery(queryString, true);
+
+		if (query === null) {
+			if (req.router)
+				req.router.emitter.emit("parserRejected", req, "query", 400, "400q");
+
+			res.writeHead(400, {"Content-Type": "text/html"});
+			res.end(responses["400q"] || "400");
+			return;
+		}
+
+		req.query = query;
+		done();
+	};
+
+	/**
+	 * Cookie parsing middleware
+	 * @param {IncomingMessage} req - the request object coming from the client
+	 * @param {ServerResponse} res - the response object that the server will send back
+	 * @param {function} done - the callback function the middleware calls once it's finished processing the request
+	 */
+	exports.cookieParser = createCookieParser(cookieOptions, responses);
+
+	return {
+		bodyParser: exports.bodyParser,
+		queryParser: exports.queryParser,
+		cookieParser: exports.cookieParser
+	};
+}
+
 /**
  * Parses a query string into an object
  * @param {String} queryString - The raw query string the function parses into an object
  * @param {Boolean} convertValues - Determines if the function should convert numbers and booleans into their respective types or if it should just leave them as a string
+ * @param {String} [charset="utf-8"] - the charset of the percent-encoded bytes
  * @returns {?Object} the parsed query object, an empty object if queryString is an empty string, or null if there is a syntax problem in queryString
  */
-function parseQuery(queryString, convertValues) {
+function parseQuery(queryString, convertValues, charset="utf-8") {
 	const query = {};
 
+	// The buffers keep the percent-encoded sequences, since a character can be encoded in multiple bytes (e.g. %C3%A9 is é)
 	let keyBuffer = "", valueBuffer = "", readingKey = true;
+
+	function addParameter() {
+		const key = decodeComponent(keyBuffer, charset), value = decodeComponent(valueBuffer, charset);
+
+		if (convertValues) {
+			const num = Number(value);
+
+			query[key] = value === "true" || value === "" ? true :
+						 value === "false" ? false :
+						 !Number.isNaN(num) ? num : 
+						 value;
+		}
+		else
+			query[key] = value;
+	}
+
 	for (let i = 0; i < queryString.length; i++) {
 		if (queryString[i] === "=") {
 			if (keyBuffer === "")
@@ -186,16 +402,7 @@ function parseQuery(queryString, convertValues) {
 			if (keyBuffer === "")
 				return null;
 
-			if (convertValues) {
-				const num = Number(valueBuffer);
-
-				query[keyBuffer] = valueBuffer === "true" || valueBuffer === "" ? true :
-								   valueBuffer === "false" ? false :
-								   !Number.isNaN(num) ? num : 
-								   valueBuffer;
-			}
-			else
-				query[keyBuffer] = valueBuffer;
+			addParameter();
 
 			keyBuffer = "";
 			valueBuffer = "";
@@ -208,12 +415,10 @@ function parseQuery(queryString, convertValues) {
 			if (!(/^([0-9a-fA-F]){2,2}$/.test(hex)))
 				return null;
 
-			const charCode = Number(`0x${hex}`);
-			
 			if (readingKey)
-				keyBuffer += String.fromCharCode(charCode);
+				keyBuffer += `%${hex}`;
 			else
-				valueBuffer += String.fromCharCode(charCode);
+				valueBuffer += `%${hex}`;
 
 			i += 2;
 			continue;
@@ -228,16 +433,20 @@ function parseQuery(queryString, convertValues) {
 	if (keyBuffer === "")
 		return null;
 
-	if (convertValues) {
-		const num = Number(valueBuffer);
-
-		query[keyBuffer] = valueBuffer === "true" || valueBuffer === "" ? true :
-						   valueBuffer === "false" ? false :
-						   !Number.isNaN(num) ? num : 
-						   valueBuffer;
-	}
-	else
-		query[keyBuffer] = valueBuffer;
+	addParameter();
 
 	return query;
+}
+
+/**
+ * Decodes a key or a value of a query string
+ * @param {String} component - the key or value, with its percent-encoded sequences
+ * @param {String} charset - the charset of the percent-encoded bytes
+ * @returns {String} the decoded string, where + is a space, and invalid byte sequences are replaced with U+FFFD
+ */
+function decodeComponent(component, charset) {
+	return component.replace(/\+/g, " ").replace(/(%[0-9a-fA-F]{2})+/g, sequence => {
+		const bytes = Buffer.from(sequence.replace(/%/g, ""), "hex");
+		return charset.toLowerCase() === "utf-8" ? bytes.toString("utf8") : new TextDecoder(charset).decode(bytes);
+	});
 }
\ No newline at end of file
@@ -0,0 +1,205 @@
+const { createReadStream, stat } = require("fs");
+const { extname } = require("path");
+const { pipeline } = require("stream");
+const { genCookie } = require("../cookie");
+const redirectToResponse = require("./redirectToResponse");
+const extensionMap = require("../type-map.json");
+
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ */
+
+/**
+ * Adds helper functions for sending responses to the response object, and an accepts function for content negotiation to the request object
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @param {ServerResponse} res - the response object that the server will send back
+ * @param {function} done - the callback function the middleware calls once it's finished processing the request
+ */
+module.exports = function responseHelpers(req, res, done) {
+	/**
+	 * Finds the type the client prefers based on the Accept header
+	 * @param {(String | String[])} types - the types the server can respond with, either as MIME types (e.g. "application/json") or as extensions (e.g. "json")
+	 * @returns {(String | false)} the preferred type (in the form it was given), or false if the client doesn't accept any of them
+	 */
+	req.accepts = types => accepts(req.headers.accept, [].concat(types));
+
+	/**
+	 * Sets the status code of the response
+	 * @param {Number} code - the status code
+	 * @returns {ServerResponse} the response object, for chaining
+	 */
+	res.status = code => {
+		res.statusCode = code;
+		return res;
+	};
+
+	/**
+	 * Sends a response, setting the Content-Type (if it hasn't been set yet) and Content-Length headers
+	 * Strings are sent as HTML, Buffers as binary data and other values as JSON
+	 * @param {*} [body] - the body of the response
+	 * @returns {ServerResponse} the response object
+	 */
+	res.send = body => {
+		if (body === undefined || body === null)
+			body = "";
+		else if (typeof body !== "string" && !Buffer.isBuffer(body))
+			return res.json(body);
+
+		if (!res.hasHeader("Content-Type"))
+			res.setHeader("Content-Type", typeof body === "string" ? "text/html; charset=utf-8" : "application/octet-stream");
+
+		// These responses can't have a body
+		if (res.statusCode === 204 || res.statusCode === 304) {
+			res.removeHeader("Content-Type");
+			res.removeHeader("Content-Length");
+			res.end();
+			return res;
+		}
+
+		res.setHeader("Content-Length", Buffer.byteLength(body));
+		res.end(body);
+		return res;
+	};
+
+	/**
+	 * Sends a value as a JSON response
+	 * @param {*} value - the value
+	 * @returns {ServerResponse} the response object
+	 */
+	res.json = value => {
+		if (!res.hasHeader("Content-Type"))
+			res.setHeader("Content-Type", "application/json; charset=utf-8");
+
+		return res.send(JSON.stringify(value) || "");
+	};
+
+	/**
+	 * Streams a file to the client, finding its Content-Type from its extension
+	 * @param {String} path - the path of the file
+	 * @param {Object} [options] - the options of the response
+	 * @param {String} [options.contentType] - the Content-Type of the file (found from its extension by default)
+	 * @param {Object.<String, (String | Number)>} [options.headers] - extra headers of the response
+	 * @returns {Promise} a promise which resolves once the file has been sent, or rejects if it can't be read (e.g. it doesn't exist)
+	 */
+	res.sendFile = (path, options={}) => new Promise((resolve, reject) => {
+		stat(path, (err, stats) => {
+			if (err)
+				return reject(err);
+			if (!stats.isFile())
+				return reject(Object.assign(new Error(`Not a file: ${path}`), { code: "EISDIR" }));
+
+			res.writeHead(res.statusCode, {
+				"Content-Type": options.contentType || extensionMap[extname(path).slice(1).toLowerCase()] || "application/octet-stream",
+				"Content-Length": stats.size,
+				...options.headers
+			});
+
+			if (req.method === "HEAD") {
+				res.end();
+				return resolve();
+			}
+
+			// Once the headers have been sent, a failed read can only be signalled by closing the connection
+			pipeline(createReadStream(path), res, err => err ? reject(err) : resolve());
+		});
+	});
+
+	/**
+	 * Adds a Set-Cookie header to the response, keeping the cookies that have already been set
+	 * @param {String} key - the name of the cookie
+	 * @param {String} value - the value of the cookie
+	 * @param {Object} [options] - the options of the cookie (see genCookie), signed and encrypted cookies use the secret of the cookie parser by default
+	 * @returns {ServerResponse} the response object, for chaining
+	 */
+	res.setCookie = (key, value, options) => {
+		const cookies = res.getHeader("Set-Cookie") || [];
+
+		res.setHeader("Set-Cookie", [].concat(cookies, genCookie(key, value, { secret: req.cookieSecrets, ...options })));
+		return res;
+	};
+
+	/**
+	 * Tells the client to remove a cookie
+	 * @param {String} key - the name of the cookie
+	 * @param {Object} [options] - the options the cookie was set with (the path and domain have to match)
+	 * @returns {ServerResponse} the response object, for chaining
+	 */
+	res.clearCookie = (key, options) => {
+		const { maxAge, ...rest } = options || {};
+
+		return res.setCookie(key, "", { ...rest, expires: new Date(0).toUTCString() });
+	};
+
+	redirectToResponse(req, res, done);
+}
+
+/**
+ * Finds the type a client prefers
+ * @param {String} [header] - the Accept header of the request
+ * @param {String[]} types - the types the server can respond with
+ * @returns {(String | false)} the preferred type, or false if none of them is accepted
+ */
+function accepts(header, types) {
+	if (types.length === 0)
+		return false;
+
+	// Clients without an Accept header accept anything
+	if (!header)
+		return types[0];
+
+	const ranges = parseAccept(header);
+	let best = false, bestQuality = 0, bestSpecificity = -1;
+
+	for (const type of types) {
+		const mimeType = (type.includes("/") ? type : extensionMap[type.replace(/^\./, "")] || "").toLowerCase();
+		if (!mimeType)
+			continue;
+
+		const [main] = mimeType.split("/");
+
+		// The most specific range that matches the type decides its quality
+		let quality = 0, specificity = -1;
+		for (const range of ranges) {
+			const rangeSpecificity = range.type === mimeType ? 2 :
+									range.type === `${main}/*` ? 1 :
+									range.type === "*/*" ? 0 : -1;
+
+			if (rangeSpecificity > specificity) {
+				quality = range.quality;
+				specificity = rangeSpecificity;
+			}
+		}
+
+		// Ties are decided by how specifically the client accepts the types, and then by their order
+		if (quality > bestQuality || (quality === bestQuality && quality > 0 && specificity > bestSpecificity)) {
+			best = type;
+			bestQuality = quality;
+			bestSpecificity = specificity;
+		}
+	}
+
+	return best;
+}
+
+/**
+ * Parses an Accept header
+ * @param {String} header - the header
+ * @returns {{ type: String, quality: Number }[]} the media ranges of the header with their quality values
+ */
+function parseAccept(header) {
+	return header.split(",").map(part => {
+		const [type, ...params] = part.split(";").map(s => s.trim());
+		let quality = 1;
+
+		for (const param of params) {
+			const [name, value] = param.split("=").map(s => s.trim());
+			if (name.toLowerCase() === "q")
+				quality = Number(value);
+		}
+
+		return { type: type.toLowerCase(), quality: Number.isNaN(quality) ? 0 : quality };
+	}).filter(range => range.type.includes("/"));
+}
+
+module.exports.accepts = accepts;
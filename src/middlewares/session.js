@@ -0,0 +1,302 @@
+const { randomBytes } = require("crypto");
+const { genCookie, verifyCookie, toBase64Url } = require("../cookie");
+
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ */
+
+/**
+ * @typedef {Object} SessionStore
+ * @property {function(String): (Object | null | Promise.<?Object>)} get - returns the data of a session, or null if it doesn't exist (or has expired)
+ * @property {function(String, Object, Number): (* | Promise)} set - stores the data of a session for the given number of seconds
+ * @property {function(String): (* | Promise)} destroy - removes a session
+ * @property {function(String, Object, Number): (* | Promise)} [touch] - resets the expiry of a session without changing its data (set is used if it's missing)
+ */
+
+/**
+ * Stores sessions in memory, removing the expired ones periodically
+ * Sessions are lost when the process exits, so this store is meant for development and single-process servers
+ */
+class MemoryStore {
+	/**
+	 * @constructor
+	 * @param {Object} [options] - the options of the store
+	 * @param {Number} [options.checkPeriod=60] - the number of seconds between removing the expired sessions
+	 */
+	constructor(options={}) {
+		/**
+		 * The stored sessions, with their data serialized (so they can't be changed by reference) and their expiry time
+		 * @type {Map.<String, { data: String, expires: Number }>}
+		 */
+		this.sessions = new Map();
+
+		this.sweepTimer = setInterval(() => this.sweep(), (options.checkPeriod || 60) * 1000);
+		// The timer shouldn't keep the process alive
+		this.sweepTimer.unref();
+	}
+
+	/**
+	 * Returns the data of a session
+	 * @param {String} id - the id of the session
+	 * @returns {Promise.<?Object>} the data, or null if the session doesn't exist or has expired
+	 */
+	async get(id) {
+		const session = this.sessions.get(id);
+		if (!session)
+			return null;
+
+		if (session.expires <= Date.now()) {
+			this.sessions.delete(id);
+			return null;
+		}
+
+		return JSON.parse(session.data);
+	}
+
+	/**
+	 * Stores the data of a session
+	 * @param {String} id - the id of the session
+	 * @param {Object} data - the data
+	 * @param {Number} maxAge - the number of seconds the session expires in
+	 */
+	async set(id, data, maxAge) {
+		this.sessions.set(id, { data: JSON.stringify(data), expires: Date.now() + maxAge * 1000 });
+	}
+
+	/**
+	 * Resets the expiry of a session
+	 * @param {String} id - the id of the session
+	 * @param {Object} data - the data of the session
+	 * @param {Number} maxAge - the number of seconds the session expires in
+	 */
+	async touch(id, data, maxAge) {
+		const session = this.sessions.get(id);
+
+		if (session)
+			session.expires = Date.now() + maxAge * 1000;
+	}
+
+	/**
+	 * Removes a session
+	 * @param {String} id - the id of the session
+	 */
+	async destroy(id) {
+		this.sessions.delete(id);
+	}
+
+	/**
+	 * Removes every expired session
+	 */
+	sweep() {
+		const now = Date.now();
+
+		for (const [id, session] of this.sessions) {
+			if (session.expires <= now)
+				this.sessions.delete(id);
+		}
+	}
+
+	/**
+	 * Stops removing the expired sessions periodically
+	 */
+	close() {
+		clearInterval(this.sweepTimer);
+	}
+}
+
+/**
+ * The data of a session, with functions for managing the session
+ * Every enumerable property is stored, so the functions are on the prototype and the id isn't enumerable
+ */
+class Session {
+	/**
+	 * @constructor
+	 * @param {String} id - the id of the session
+	 * @param {Object} data - the stored data of the session
+	 * @param {SessionStore} store - the store the session is kept in
+	 */
+	constructor(id, data, store) {
+		Object.defineProperty(this, "id", { value: id, writable: true });
+		Object.defineProperty(this, "store", { value: store });
+		Object.defineProperty(this, "destroyed", { value: false, writable: true });
+
+		Object.assign(this, data);
+	}
+
+	/**
+	 * Replaces the session with a new one (with a new id and without data), which should be done when the user logs in
+	 * @returns {Promise} a promise which resolves once the old session has been removed from the store
+	 */
+	async regenerate() {
+		const oldId = this.id;
+
+		this.clear();
+		this.id = generateId();
+		this.destroyed = false;
+
+		await this.store.destroy(oldId);
+	}
+
+	/**
+	 * Removes the session from the store and tells the client to remove the session cookie, which should be done when the user logs out
+	 * @returns {Promise} a promise which resolves once the session has been removed from the store
+	 */
+	async destroy() {
+		this.clear();
+		this.destroyed = true;
+
+		await this.store.destroy(this.id);
+	}
+
+	/**
+	 * Removes the data of the session
+	 */
+	clear() {
+		for (const key of Object.keys(this))
+			delete this[key];
+	}
+}
+
+/**
+ * Creates a session middleware, which identifies sessions by a signed cookie and loads their data into the request object's session property
+ * The data is saved (if it has changed) before the response is finished
+ * @param {Object} [options] - the options of the middleware
+ * @param {(String | String[])} [options.secret] - the secret used for signing the session cookie, or every accepted secret when the secret is being rotated (the secret of the cookie parser by default)
+ * @param {SessionStore} [options.store=new MemoryStore()] - the store the sessions are kept in
+ * @param {String} [options.name="toldi.sid"] - the name of the session cookie
+ * @param {Number} [options.maxAge=86400] - the number of seconds a session lasts
+ * @param {Boolean} [options.rolling=false] - reset the expiry of the session on every response, so it only expires after maxAge seconds of inactivity
+ * @param {Boolean} [options.saveUninitialized=false] - store new sessions (and send their cookie) even if no data has been added to them
+ * @param {Object} [options.cookie] - the options of the session cookie (see genCookie), by default it's HttpOnly, its path is / and its SameSite attribute is Lax
+ * @returns {function} the middleware
+ */
+function session(options={}) {
+	const store = options.store || new MemoryStore();
+	const name = options.name || "toldi.sid";
+	const maxAge = options.maxAge || 24 * 60 * 60;
+	const cookieOptions = { path: "/", httpOnly: true, sameSite: "Lax", ...options.cookie };
+
+	return async function loadSession(req, res, next) {
+		const secrets = options.secret ? [].concat(options.secret) : req.cookieSecrets;
+		if (!secrets)
+			throw new Error("The session middleware needs a secret (either its secret option or the secret of the cookie parser)");
+
+		const cookieId = getSessionId(req.headers.cookie, name, secrets);
+		const data = cookieId ? await store.get(cookieId) : null;
+
+		// A session that has expired (or never existed) is replaced with a new one instead of reusing the id sent by the client
+		const isNew = !data;
+		req.session = new Session(isNew ? generateId() : cookieId, data || {}, store);
+
+		const loadedId = req.session.id, loadedData = JSON.stringify(data || {});
+
+		function isModified() {
+			return req.session.id !== loadedId || JSON.stringify(req.session) !== loadedData;
+		}
+
+		function hasContent() {
+			return Object.keys(req.session).length > 0 || options.saveUninitialized === true;
+		}
+
+		function getCookie() {
+			if (req.session.destroyed)
+				return cookieId ? genCookie(name, "", { ...cookieOptions, expires: new Date(0) }) : null;
+
+			// New sessions are only kept if they have data, existing ones get a new cookie if their id has changed (or on every response if the expiry is rolling)
+			const shouldSend = isNew ? hasContent() : req.session.id !== loadedId || options.rolling === true;
+			if (!shouldSend)
+				return null;
+
+			return genCookie(name, req.session.id, { ...cookieOptions, maxAge, signed: true, secret: secrets });
+		}
+
+		// The cookie has to be added right before the headers are sent (Node calls writeHead itself if the handler doesn't)
+		const writeHead = res.writeHead;
+		res.writeHead = function (statusCode, reason, headers) {
+			const cookie = getCookie();
+
+			if (cookie !== null) {
+				const headerObject = typeof reason === "object" ? reason : headers;
+				const key = headerObject && !Array.isArray(headerObject) && Object.keys(headerObject).find(key => key.toLowerCase() === "set-cookie");
+
+				if (key)
+					headerObject[key] = [].concat(headerObject[key], cookie);
+				else
+					res.setHeader("Set-Cookie", [].concat(res.getHeader("Set-Cookie") || [], cookie));
+			}
+
+			return writeHead.apply(res, arguments);
+		};
+
+		// The response is only finished once the session has been saved, so the next request of the client sees the new data
+		const end = res.end;
+		res.end = function (...args) {
+			res.end = end;
+
+			persist().catch(err => {
+				if (req.router)
+					req.router.reportError(err, req);
+			}).then(() => end.apply(res, args));
+
+			return res;
+		};
+
+		async function persist() {
+			const session = req.session;
+			if (session.destroyed)
+				return;
+
+			if (isNew ? hasContent() : isModified())
+				await store.set(session.id, { ...session }, maxAge);
+			else if (!isNew && options.rolling) {
+				if (store.touch)
+					await store.touch(session.id, { ...session }, maxAge);
+				else
+					await store.set(session.id, { ...session }, maxAge);
+			}
+		}
+
+		next();
+	};
+}
+
+/**
+ * Finds the id of the session in the Cookie header of a request, and verifies its signature
+ * @param {String} [cookieHeader] - the Cookie header
+ * @param {String} name - the name of the session cookie
+ * @param {String[]} secrets - the accepted secrets
+ * @returns {?String} the id of the session, or null if there's no (valid) session cookie
+ */
+function getSessionId(cookieHeader, name, secrets) {
+	if (!cookieHeader)
+		return null;
+
+	for (const cookie of cookieHeader.split(";")) {
+		const separatorIndex = cookie.indexOf("=");
+		if (separatorIndex === -1 || cookie.slice(0, separatorIndex).trim() !== name)
+			continue;
+
+		let value;
+		try {
+			value = decodeURIComponent(cookie.slice(separatorIndex + 1).trim());
+		} catch (err) {
+			return null;
+		}
+
+		const id = verifyCookie(value, secrets);
+		return id ? id : null;
+	}
+
+	return null;
+}
+
+/**
+ * Generates a new, unguessable session id
+ * @returns {String} the id
+ */
+function generateId() {
+	return toBase64Url(randomBytes(24));
+}
+
+module.exports = { session, MemoryStore, Session };
@@ -0,0 +1,347 @@
+const { parseQuery } = require("./requestParsers");
+
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ */
+
+/**
+ * A JSON-Schema-style description of a value (a subset of JSON Schema: type, enum, const, default, minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, minLength, maxLength, pattern, format, items, minItems, maxItems, uniqueItems, properties, required, additionalProperties)
+ * @typedef {Object.<String, *>} Schema
+ */
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {String} location - the part of the request the field is in (body, query, params or headers)
+ * @property {String} field - the path of the field (e.g. "address.zip" or "tags[2]"), an empty string for the whole part
+ * @property {String} message - description of the problem
+ */
+
+/**
+ * The parts of a request that can be validated, in the order they're validated
+ * @type {String[]}
+ */
+const LOCATIONS = ["params", "query", "headers", "body"];
+
+/**
+ * Keys which are never copied into a validated object, since assigning them could change its prototype (prototype pollution)
+ * @type {String[]}
+ */
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Patterns of the supported string formats
+ * @type {Object.<String, RegExp>}
+ */
+const FORMATS = {
+	"email": /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+	"uuid": /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+	"date": /^\d{4}-\d{2}-\d{2}$/,
+	"date-time": /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+	"uri": /^[a-z][a-z\d+.-]*:[^\s]*$/i
+};
+
+/**
+ * Creates a middleware which validates (and coerces) the parts of a request against schemas
+ * The validated values replace the original ones (except for the headers), and all of them are stored in the request object's validated property
+ * Invalid requests are answered with a JSON response listing every invalid field: 422 if only the body is invalid, 400 otherwise
+ * @param {{ body: ?Schema, query: ?Schema, params: ?Schema, headers: ?Schema }} schemas - the schemas of the parts of the request
+ * @param {Object} [options] - the options of the validation
+ * @param {Boolean} [options.coerce=true] - convert values to the type of their schema (e.g. "42" to 42 or 42 to "42")
+ * @param {Boolean} [options.removeAdditional=true] - remove the properties of objects that aren't in their schema's properties (unless additionalProperties allows them), instead of rejecting them
+ * @returns {function} the middleware
+ */
+function validate(schemas, options={}) {
+	options = {
+		coerce: options.coerce !== false,
+		removeAdditional: options.removeAdditional !== false
+	};
+
+	return function validateRequest(req, res, next) {
+		const errors = [], validated = {};
+
+		for (const location of LOCATIONS) {
+			if (!schemas[location])
+				continue;
+
+			const input = getInput(req, location);
+			if (input === null) {
+				errors.push({ location, field: "", message: "is malformed" });
+				continue;
+			}
+
+			const locationErrors = [];
+			validated[location] = validateValue(schemas[location], input, "", locationErrors, {
+				...options,
+				// Headers are never removed, since the request can't be processed without most of them
+				removeAdditional: options.removeAdditional && location !== "headers"
+			});
+
+			for (const error of locationErrors)
+				errors.push({ location, ...error });
+		}
+
+		if (errors.length > 0) {
+			const onlyBody = errors.every(error => error.location === "body");
+			const responses = req.router ? req.router.responses : {};
+			const body = JSON.stringify({
+				message: (onlyBody ? responses["422"] : responses["400v"]) || (onlyBody ? "422" : "400"),
+				errors
+			});
+
+			res.writeHead(onlyBody ? 422 : 400, {"Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(body)});
+			res.end(body);
+			return;
+		}
+
+		for (const location of ["params", "query", "body"]) {
+			if (location in validated)
+				req[location] = validated[location];
+		}
+
+		req.validated = validated;
+		next();
+	};
+}
+
+/**
+ * Gets a part of the request in the form it should be validated in
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @param {String} location - the part of the request
+ * @returns {*} the part of the request, or null if it's malformed
+ */
+function getInput(req, location) {
+	if (location === "query") {
+		// The query parser converts numbers and booleans (e.g. "0012" to 12), so the query is parsed again to let the schema decide the types
+		const queryString = req.url.includes("?") ? req.url.slice(req.url.indexOf("?") + 1) : "";
+		return queryString === "" ? {} : parseQuery(queryString, false);
+	}
+
+	if (location === "headers")
+		return req.headers;
+
+	return req[location] === undefined ? {} : req[location];
+}
+
+/**
+ * Validates a value against a schema, collecting every error
+ * @param {Schema} schema - the schema
+ * @param {*} value - the value
+ * @param {String} path - the path of the value (used in the error messages)
+ * @param {{ field: String, message: String }[]} errors - the array the errors are added to
+ * @param {{ coerce: Boolean, removeAdditional: Boolean }} options - the options of the validation
+ * @returns {*} the validated (and possibly coerced) value
+ */
+function validateValue(schema, value, path, errors, options) {
+	const fail = message => {
+		errors.push({ field: path, message });
+		return value;
+	};
+
+	if (value === undefined && schema.default !== undefined)
+		value = JSON.parse(JSON.stringify(schema.default));
+
+	const types = schema.type === undefined ? null : [].concat(schema.type);
+
+	if (types !== null) {
+		if (options.coerce && !types.some(type => hasType(value, type))) {
+			for (const type of types) {
+				const coerced = coerce(value, type);
+
+				if (coerced !== undefined) {
+					value = coerced;
+					break;
+				}
+			}
+		}
+
+		if (!types.some(type => hasType(value, type)))
+			return fail(`must be of type ${types.join(" or ")}`);
+	}
+
+	if (schema.enum && !schema.enum.some(allowed => isEqual(allowed, value)))
+		return fail(`must be one of: ${schema.enum.map(allowed => JSON.stringify(allowed)).join(", ")}`);
+	if (schema.const !== undefined && !isEqual(schema.const, value))
+		return fail(`must be ${JSON.stringify(schema.const)}`);
+
+	if (typeof value === "number") {
+		if (schema.minimum !== undefined && value < schema.minimum)
+			fail(`must be at least ${schema.minimum}`);
+		if (schema.maximum !== undefined && value > schema.maximum)
+			fail(`must be at most ${schema.maximum}`);
+		if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum)
+			fail(`must be greater than ${schema.exclusiveMinimum}`);
+		if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum)
+			fail(`must be less than ${schema.exclusiveMaximum}`);
+		if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf))
+			fail(`must be a multiple of ${schema.multipleOf}`);
+	}
+
+	if (typeof value === "string") {
+		// Lengths are counted in characters, not UTF-16 code units
+		const length = Array.from(value).length;
+
+		if (schema.minLength !== undefined && length < schema.minLength)
+			fail(`must be at least ${schema.minLength} characters long`);
+		if (schema.maxLength !== undefined && length > schema.maxLength)
+			fail(`must be at most ${schema.maxLength} characters long`);
+		if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+			fail(`must match the pattern ${schema.pattern}`);
+		if (schema.format !== undefined && FORMATS[schema.format] && !isValidFormat(value, schema.format))
+			fail(`must be a valid ${schema.format}`);
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems)
+			fail(`must have at least ${schema.minItems} items`);
+		if (schema.maxItems !== undefined && value.length > schema.maxItems)
+			fail(`must have at most ${schema.maxItems} items`);
+		if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => isEqual(item, other)) !== i))
+			fail("must not have duplicate items");
+
+		if (schema.items)
+			value = value.map((item, i) => validateValue(schema.items, item, `${path}[${i}]`, errors, options));
+	}
+
+	if (isObject(value) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+		const properties = schema.properties || {}, result = {};
+
+		for (const key of schema.required || []) {
+			if (value[key] === undefined && (!properties[key] || properties[key].default === undefined))
+				errors.push({ field: joinPath(path, key), message: "is required" });
+		}
+
+		for (const key of Object.keys(properties)) {
+			if (UNSAFE_KEYS.includes(key) || (value[key] === undefined && properties[key].default === undefined))
+				continue;
+
+			result[key] = validateValue(properties[key], value[key], joinPath(path, key), errors, options);
+		}
+
+		for (const key of Object.keys(value)) {
+			if (UNSAFE_KEYS.includes(key) || Object.prototype.hasOwnProperty.call(properties, key))
+				continue;
+
+			if (isObject(schema.additionalProperties))
+				result[key] = validateValue(schema.additionalProperties, value[key], joinPath(path, key), errors, options);
+			else if (schema.additionalProperties === true || (!options.removeAdditional && schema.additionalProperties === undefined))
+				result[key] = value[key];
+			else if (!options.removeAdditional)
+				errors.push({ field: joinPath(path, key), message: "is not allowed" });
+		}
+
+		value = result;
+	}
+
+	return value;
+}
+
+/**
+ * Checks whether a value has a JSON Schema type
+ * @param {*} value - the value
+ * @param {String} type - the type
+ * @returns {Boolean} true if the value has the type
+ */
+function hasType(value, type) {
+	switch (type) {
+		case "string": return typeof value === "string";
+		case "number": return typeof value === "number" && Number.isFinite(value);
+		case "integer": return Number.isInteger(value);
+		case "boolean": return typeof value === "boolean";
+		case "array": return Array.isArray(value);
+		case "object": return isObject(value);
+		case "null": return value === null;
+		default: return false;
+	}
+}
+
+/**
+ * Converts a value to a JSON Schema type, if it can be converted without losing information
+ * @param {*} value - the value
+ * @param {String} type - the type
+ * @returns {*} the converted value, or undefined if it can't be converted
+ */
+function coerce(value, type) {
+	if (value === undefined)
+		return undefined;
+
+	switch (type) {
+		case "string":
+			return typeof value === "number" || typeof value === "boolean" ? String(value) : undefined;
+
+		case "number":
+		case "integer": {
+			if (typeof value === "boolean")
+				return undefined;
+
+			const num = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+			return hasType(num, type) ? num : undefined;
+		}
+
+		case "boolean":
+			return value === "true" || value === "1" || value === 1 ? true :
+				   value === "false" || value === "0" || value === 0 ? false :
+				   undefined;
+
+		case "null":
+			return value === "" || value === "null" ? null : undefined;
+
+		case "array":
+			// A single value (e.g. a query parameter which appears only once) is an array with one item
+			return Array.isArray(value) ? value : [value];
+
+		default:
+			return undefined;
+	}
+}
+
+/**
+ * Checks a string against a format, including the values its pattern can't check (e.g. the 31st of February)
+ * @param {String} value - the string
+ * @param {String} format - the name of the format
+ * @returns {Boolean} true if the string has the format
+ */
+function isValidFormat(value, format) {
+	if (!FORMATS[format].test(value))
+		return false;
+
+	if (format === "date") {
+		const date = new Date(`${value}T00:00:00Z`);
+		return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+	}
+	if (format === "date-time")
+		return !Number.isNaN(Date.parse(value));
+
+	return true;
+}
+
+/**
+ * Checks whether a value is a plain object (not an array or null)
+ * @param {*} value - the value
+ * @returns {Boolean} true if the value is an object
+ */
+function isObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Compares two JSON values
+ * @param {*} a - the first value
+ * @param {*} b - the second value
+ * @returns {Boolean} true if the values are equal
+ */
+function isEqual(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Appends a property name to the path of a field
+ * @param {String} path - the path of the object
+ * @param {String} key - the name of the property
+ * @returns {String} the path of the property
+ */
+function joinPath(path, key) {
+	return path === "" ? key : `${path}.${key}`;
+}
+
+module.exports = validate;
@@ -0,0 +1,212 @@
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ */
+
+/**
+ * Class for representing the handler of a specific method inside a Route
+ */
+class Handler {
+	constructor(handler, ...middlewares) {
+		this.handler = handler;
+		this.middlewares = middlewares;
+	}
+
+	/**
+	 * This function is responsible for processing a request and responding to it
+	 * @param {IncomingMessage} req - the request object received from the client
+	 * @param {ServerResponse} res - the response object that will be sent to the client
+	 * @returns {Promise} a promise which resolves once the handler has finished, or rejects if it throws an error
+	 */
+	async handle(req, res) {
+		await this.handler(req, res);
+	}
+}
+
+/**
+ * Class for handling a splitter
+ */
+class SplitHandler {
+	constructor(splitter, ...handlers) {
+		this.splitter = splitter;
+		this.handlers = handlers;
+		this.middlewares = [];
+	}
+
+	/**
+	 * This function is responsible for processing a request and responding to it
+	 * @param {IncomingMessage} req - the request object received from the client
+	 * @param {ServerResponse} res - the response object that will be sent to the client
+	 * @returns {Promise} a promise which resolves once the chosen handler has finished, or rejects if the splitter or the handler throws an error
+	 */
+	async handle(req, res) {
+		const result = await this.splitter(req, res);
+
+		// Anything other than the index of a handler (e.g. 1.5, NaN or "1") is rejected
+		if (!Number.isInteger(result) || result < 0 || result >= this.handlers.length) {
+			req.router.reportError(new Error(`The result of a splitter function has to be the index of one of its handlers (an integer from 0 to ${this.handlers.length - 1}), received: ${typeof result === "string" ? JSON.stringify(result) : String(result)}`), req);
+			req.router.emitter.emit("splitterError", req, result);
+			res.writeHead(500, {"Content-Type": "text/html"});
+			res.end(req.router.responses["500"]);
+			return;
+		}
+		
+		await this.handlers[result](req, res);
+	}
+}
+
+/**
+ * Class for representing a route and its handlers
+ */
+class Route {
+	/**
+	 * @constructor
+	 * @param {String} path - path of the route object 
+	 */
+	constructor(path) {
+		this.path = path;
+		
+		/**
+		 * An object containing the handlers, where the request handler of a certain method can be accessed by using the method as the key
+		 * @type {Object.<String, (Handler | SplitHandler)>}
+		 */
+		this.handlers = {};
+		
+		/**
+		 * An array of middleware functions that should be called before every request, regardless of its method
+		 * @type {function[]}
+		 */
+		this.middlewares = [];
+
+		/**
+		 * Name of the route, which can be used for generating its URL (see Router.url)
+		 * @type {?String}
+		 */
+		this.name = null;
+	}
+
+	/**
+	 * Sets the name of the route, which can be used for generating its URL
+	 * @param {String} name - the name of the route (e.g. "user.profile")
+	 * @returns {Route} this route
+	 */
+	setName(name) {
+		this.name = name;
+		return this;
+	}
+
+	/**
+	 * Adds a handler to the route object
+	 * @param {String} method - the method for which this handler is responsible
+	 * @param {function} requestHandler - the function responsible for processing the request and sending a response
+	 * @param  {...function} middlewares - function(s) that should be called before the requestHandler
+	 * @returns {Route} this route
+	 */
+	addHandler(method, requestHandler, ...middlewares) {
+		this.handlers[method.toUpperCase()] = new Handler(requestHandler, ...middlewares);
+		return this;
+	}
+	
+	/** Shorthand for addHandler("GET", ...) */
+	get(requestHandler, ...middlewares) {
+		return this.addHandler("GET", requestHandler, ...middlewares);
+	}
+
+	/** Shorthand for addHandler("POST", ...) */
+	post(requestHandler, ...middlewares) {
+		return this.addHandler("POST", requestHandler, ...middlewares);
+	}
+	
+	/** Shorthand for addHandler("PUT", ...) */
+	put(requestHandler, ...middlewares) {
+		return this.addHandler("PUT", requestHandler, ...middlewares);
+	}
+	
+	/** Shorthand for addHandler("PATCH", ...) */
+	patch(requestHandler, ...middlewares) {
+		return this.addHandler("PATCH", requestHandler, ...middlewares);
+	}
+
+	/** Shorthand for addHandler("DELETE", ...) */
+	delete(requestHandler, ...middlewares) {
+		return this.addHandler("DELETE", requestHandler, ...middlewares);
+	}
+
+	/** Adds a handler to the route object, which will handle every request. Shorthand for addHandler("ALL", ...) */
+	all(requestHandler, ...middlewares) {
+		return this.addHandler("ALL", requestHandler, ...middlewares);
+	}
+
+	/**
+	 * Adds middleware function (or multiple middleware functions) to every method
+	 * @param  {...function} middlewares - middleware function(s) that should be added to the route
+	 * @returns {Route} this route
+	 */
+	addMiddleware(...middlewares) {
+		this.middlewares.push(...middlewares);
+		return this;
+	}
+	
+	/**
+	 * Adds middleware function (or multiple middleware functions) to a specified method
+	 * @param {(String | String[])} method - name of the method which the middleware should be added to or an array of method names
+	 * @param  {...function} middlewares - middleware function(s) that should be added to the method(s)
+	 * @returns {Route} this route
+	 */
+	addMiddlewareToMethod(method, ...middlewares) {
+		if (method.constructor.name === "Array") {
+			for (let i = 0; i < method.length; i++)
+				this.handlers[method[i]].middlewares.push(...middlewares);
+		} else {
+			this.handlers[method].middlewares.push(...middlewares);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Adds a split handler to a method
+	 * @param {String} method - name of the method which the split handler should be added to or an array of method names
+	 * @param {function} splitter - the splitter function which decides which requestHandler is called for a specific request
+	 * @param  {...function} requestHandlers - a list of functions which handle the processing of a request in certain scenarios (decided by the splitter function)
+	 * @returns {Route} this route
+	 */
+	addSplitHandler(method, splitter, ...requestHandlers) {
+		if (method instanceof Array) {
+			for (let i = 0; i < method.length; i++) {
+				this.handlers[method[i]] = new SplitHandler(splitter, ...requestHandlers);
+			}
+		} else {
+			this.handlers[method] = new SplitHandler(splitter, ...requestHandlers);
+		}
+		
+		return this;
+	}
+
+	/** Shorthand for addSplitHandler("GET", ...) */
+	getSplitHandler(splitter, ...requestHandlers) {
+		return this.addSplitHandler("GET", splitter, ...requestHandlers);
+	}
+	
+	/** Shorthand for addSplitHandler("POST", ...) */
+	postSplitHandler(splitter, ...requestHandlers) {
+		return this.addSplitHandler("POST", splitter, ...requestHandlers);
+	}
+
+	/** Shorthand for addSplitHandler("PUT", ...) */
+	putSplitHandler(splitter, ...requestHandlers) {
+		return this.addSplitHandler("PUT", splitter, ...requestHandlers);
+	}
+	
+	/** Shorthand for addSplitHandler("PATCH", ...) */
+	patchSplitHandler(splitter, ...requestHandlers) {
+		return this.addSplitHandler("PATCH", splitter, ...requestHandlers);
+	}
+
+	/** Shorthand for addSplitHandler("DELETE", ...) */
+	deleteSplitHandler(splitter, ...requestHandlers) {
+		return this.addSplitHandler("DELETE", splitter, ...requestHandlers);
+	}
+}
+
+module.exports = { Handler, SplitHandler, Route };
@@ -0,0 +1,474 @@
+/**
+ * @typedef {import("./route").Route} Route
+ * @typedef {{ prefix: String, router: import("./router"), middlewares: function[] }} Mount
+ * @typedef {{ test: function(String): Boolean, convert: ?function(String): * }} ParamType
+ */
+
+/**
+ * The parameter types every router starts with, which can be used in path parameters (e.g. {userId:int})
+ * @type {Object.<String, ParamType>}
+ */
+const defaultParamTypes = {
+	"int": {
+		test: value => /^-?\d+$/.test(value) && Number.isSafeInteger(Number(value)),
+		convert: Number
+	},
+	"number": {
+		test: value => /^-?\d+(\.\d+)?$/.test(value),
+		convert: Number
+	},
+	"uuid": {
+		test: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+		convert: value => value.toLowerCase()
+	},
+	"alpha": {
+		test: value => /^[a-zA-Z]+$/.test(value),
+		convert: null
+	}
+};
+
+/**
+ * Class for representing a single path segment inside the route tree
+ */
+class Node {
+	constructor() {
+		/**
+		 * Children of the node with a fixed path segment, where the child can be accessed by using the segment as the key
+		 * @type {Map.<String, Node>}
+		 */
+		this.staticChildren = new Map();
+
+		/**
+		 * Children of the node which match a single path segment (path parameters), constrained ones first, and the unconstrained one last
+		 * @type {{ key: String, test: ?function(String): Boolean, convert: ?function(String): *, node: Node }[]}
+		 */
+		this.paramChildren = [];
+
+		/**
+		 * Child of the node which matches every remaining path segment, including none of them (wildcard)
+		 * @type {?Node}
+		 */
+		this.wildcardChild = null;
+
+		/**
+		 * Routes whose path ends at this node, in the order they were added
+		 * @type {{ route: Route, paramNames: String[] }[]}
+		 */
+		this.entries = [];
+
+		/**
+		 * Routers mounted with a prefix ending at this node, in the order they were mounted
+		 * @type {{ mount: Mount, paramNames: String[] }[]}
+		 */
+		this.mounts = [];
+	}
+}
+
+/**
+ * Prefix tree storing routes by their path segments
+ * The tree is built while the routes are being added, so looking up a request's path never has to compare it with every route
+ */
+class RouteTree {
+	constructor() {
+		this.root = new Node();
+
+		/**
+		 * The parameter types that can be used in the path parameters of this tree, where the type can be accessed by using its name as the key
+		 * @type {Object.<String, ParamType>}
+		 */
+		this.paramTypes = Object.assign({}, defaultParamTypes);
+	}
+
+	/**
+	 * Adds a route to the tree
+	 * @param {Route} route - the route that should be added
+	 */
+	insert(route) {
+		for (const { node, paramNames } of this.getNodes(route.path))
+			node.entries.push({ route, paramNames });
+	}
+
+	/**
+	 * Adds a mounted router to the tree, which will receive every request starting with the prefix of the mount
+	 * @param {Mount} mount - the mount that should be added
+	 */
+	mount(mount) {
+		if (hasWildcard(mount.prefix))
+			throw new Error(`Invalid mount prefix: ${mount.prefix} (a prefix can't contain a wildcard)`);
+
+		for (const { node, paramNames } of this.getNodes(mount.prefix))
+			node.mounts.push({ mount, paramNames });
+	}
+
+	/**
+	 * Adds a parameter type, which can be used in path parameters after its name (e.g. {userId:int})
+	 * Types should be added before they are used in a route's path
+	 * @param {String} name - name of the type
+	 * @param {(RegExp | function(String): Boolean)} pattern - a regular expression (which has to match the whole path segment) or a function, which decides if a path segment is a valid value of the type
+	 * @param {function(String): *} [convert] - a function which converts the (decoded) path segment into the value stored in the request's params
+	 */
+	addParamType(name, pattern, convert) {
+		if (!/^\w+$/.test(name))
+			throw new Error(`Invalid parameter type name: ${name}`);
+
+		if (pattern instanceof RegExp) {
+			const regExp = new RegExp(`^(?:${pattern.source})$`, pattern.flags.replace(/[gy]/g, ""));
+			pattern = value => regExp.test(value);
+		}
+
+		this.paramTypes[name] = { test: pattern, convert: convert || null };
+	}
+
+	/**
+	 * Finds the nodes of a path, creating every missing node along the way
+	 * A path with optional path parameters (e.g. {page?}) ends at more than one node, as it matches both with and without them
+	 * @param {String} path - the path of a route or a mount
+	 * @returns {{ node: Node, paramNames: String[] }[]} the nodes of the path and the names of the path parameters leading to them
+	 */
+	getNodes(path) {
+		let paths = [{ node: this.root, paramNames: [] }];
+		const segments = splitPath(path);
+
+		for (let i = 0; i < segments.length; i++) {
+			const segment = segments[i];
+
+			if (isWildcard(segment)) {
+				if (i !== segments.length - 1)
+					throw new Error(`Invalid route path: ${path} (a wildcard can only be the last part of a path)`);
+
+				// The matched rest of the path is stored under "*", or under the name of a named wildcard (e.g. {rest*})
+				const name = segment === "*" ? "*" : segment.slice(1, segment.length - 2);
+
+				paths = paths.map(({ node, paramNames }) => {
+					if (!node.wildcardChild)
+						node.wildcardChild = new Node();
+
+					return { node: node.wildcardChild, paramNames: paramNames.concat(name) };
+				});
+			} else if (isParam(segment)) {
+				const param = this.parseParam(segment, path);
+				const nextPaths = paths.map(({ node, paramNames }) => ({
+					node: getParamChild(node, param),
+					paramNames: paramNames.concat(param.name)
+				}));
+
+				paths = param.optional ? paths.concat(nextPaths) : nextPaths;
+			} else {
+				paths = paths.map(({ node, paramNames }) => {
+					if (!node.staticChildren.has(segment))
+						node.staticChildren.set(segment, new Node());
+
+					return { node: node.staticChildren.get(segment), paramNames };
+				});
+			}
+		}
+
+		return paths;
+	}
+
+	/**
+	 * Parses a path parameter segment (e.g. {userId}, {userId:int}, {slug:[a-z0-9-]+}, {page?})
+	 * @param {String} segment - the path segment
+	 * @param {String} path - the whole path, used in error messages
+	 * @returns {{ name: String, optional: Boolean, key: String, test: ?function(String): Boolean, convert: ?function(String): * }} the parsed parameter
+	 */
+	parseParam(segment, path) {
+		let content = segment.slice(1, segment.length - 1), optional = false;
+
+		if (content[content.length - 1] === "?") {
+			optional = true;
+			content = content.slice(0, content.length - 1);
+		}
+
+		const separatorIndex = content.indexOf(":");
+		const name = separatorIndex === -1 ? content : content.slice(0, separatorIndex);
+		const type = separatorIndex === -1 ? "" : content.slice(separatorIndex + 1);
+
+		if (name === "")
+			throw new Error(`Invalid route path: ${path} (a path parameter has no name)`);
+
+		if (type === "")
+			return { name, optional, key: "", test: null, convert: null };
+
+		if (this.paramTypes[type])
+			return { name, optional, key: type, test: this.paramTypes[type].test, convert: this.paramTypes[type].convert };
+
+		let regExp;
+		try {
+			regExp = new RegExp(`^(?:${type})$`);
+		} catch (err) {
+			throw new Error(`Invalid route path: ${path} (${type} is neither a parameter type nor a valid regular expression)`);
+		}
+
+		return { name, optional, key: `/${type}`, test: value => regExp.test(value), convert: null };
+	}
+
+	/**
+	 * Finds the routes that were added before a route with an equivalent path (e.g. /users/{id} and /users/{userId}), which are always matched before it
+	 * @param {Route} route - a route that has already been added to the tree
+	 * @returns {Route[]} the routes preceding the route
+	 */
+	getPrecedingRoutes(route) {
+		const result = [];
+
+		for (const { node } of this.getNodes(route.path)) {
+			for (const entry of node.entries) {
+				if (entry.route === route)
+					break;
+				if (!result.includes(entry.route))
+					result.push(entry.route);
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Builds a path from a route's (or a mount's) path, by filling in its path parameters and wildcards
+	 * @param {String} path - the path containing the path parameters (e.g. /users/{userId:int})
+	 * @param {Object.<String, *>} params - the values of the path parameters (and wildcards)
+	 * @returns {String} the built path, with every value percent-encoded
+	 * @throws {Error} if a required path parameter is missing or its value doesn't match its type
+	 */
+	buildPath(path, params) {
+		const result = [];
+
+		for (const segment of splitPath(path)) {
+			if (isWildcard(segment)) {
+				const value = params[segment === "*" ? "*" : segment.slice(1, segment.length - 2)];
+
+				if (value !== undefined && value !== null && value !== "")
+					result.push(...String(value).split("/").filter(part => part !== "").map(encodeURIComponent));
+			} else if (isParam(segment)) {
+				const param = this.parseParam(segment, path), value = params[param.name];
+
+				if (value === undefined || value === null) {
+					if (param.optional)
+						continue;
+
+					throw new Error(`Missing path parameter: ${param.name} (${path})`);
+				}
+
+				if (param.test && !param.test(String(value)))
+					throw new Error(`Invalid value for path parameter ${param.name}: ${value} (${path})`);
+
+				result.push(encodeURIComponent(String(value)));
+			} else {
+				result.push(segment);
+			}
+		}
+
+		return "/" + result.join("/");
+	}
+
+	/**
+	 * Removes every route from the tree
+	 */
+	clear() {
+		this.root = new Node();
+	}
+
+	/**
+	 * Finds every route matching a path (including the routes of mounted routers), from the most specific one to the least specific one
+	 * Static path parts are preferred over path parameters (constrained ones first), and path parameters are preferred over wildcards, where the routes of mounted routers are ranked as if they were added under the prefix of their mount
+	 * @param {String} path - the path of the request
+	 * @returns {Generator.<{ route: Route, params: Object.<String, *>, mounts: Mount[] }>} the matching routes, their path parameters (including the ones in the prefixes of mounts) and the mounts leading to them
+	 */
+	*match(path) {
+		const segments = splitPath(path);
+		yield* matchFrames([{ node: this.root, values: [], params: {}, mounts: [] }], segments, segments.map(decodeSegment), 0);
+	}
+}
+
+/**
+ * Finds (or creates) the child of a node matching a path parameter
+ * @param {Node} node - the parent node
+ * @param {{ key: String, test: ?function(String): Boolean, convert: ?function(String): * }} param - the parsed path parameter
+ * @returns {Node} the child node
+ */
+function getParamChild(node, param) {
+	let child = node.paramChildren.find(child => child.key === param.key);
+
+	if (!child) {
+		child = { key: param.key, test: param.test, convert: param.convert, node: new Node() };
+
+		// The unconstrained child matches every segment, so it has to stay the last one
+		const unconstrainedIndex = node.paramChildren.findIndex(child => child.key === "");
+		if (param.key !== "" && unconstrainedIndex !== -1)
+			node.paramChildren.splice(unconstrainedIndex, 0, child);
+		else
+			node.paramChildren.push(child);
+	}
+
+	return child.node;
+}
+
+/**
+ * @typedef {Object} Frame
+ * @property {Node} node - the node reached by the segments matched so far
+ * @property {*[]} values - values of the path parameters leading to the node from the root of its tree
+ * @property {Object.<String, *>} params - the path parameters of the prefixes of the mounts leading to the node's tree
+ * @property {Mount[]} mounts - the mounts leading to the node's tree
+ */
+
+/**
+ * Recursively walks the trees (the tree and the trees of the routers mounted onto it) in order of priority, yielding every route that matches the remaining path segments
+ * The routes of mounted routers are ranked as if they were added under the prefix of their mount, so e.g. a static path part of a mounted route is preferred over a path parameter of the parent router
+ * @param {Frame[]} frames - the nodes reached by the segments before index, in order of priority
+ * @param {String[]} segments - the raw path segments of the request
+ * @param {(String | null)[]} decodedSegments - the percent-decoded path segments of the request (null if a segment is malformed)
+ * @param {Number} index - index of the next segment that should be matched
+ */
+function* matchFrames(frames, segments, decodedSegments, index) {
+	frames = expandMounts(frames);
+
+	if (index === segments.length) {
+		for (const frame of frames)
+			yield* yieldEntries(frame);
+	} else {
+		const decoded = decodedSegments[index];
+
+		// The static children of every tree are walked together, so the priorities below them are compared across the trees too
+		const staticFrames = [];
+		for (const frame of frames) {
+			const staticChild = frame.node.staticChildren.get(decoded === null ? segments[index] : decoded);
+			if (staticChild)
+				staticFrames.push(Object.assign({}, frame, { node: staticChild }));
+		}
+
+		if (staticFrames.length > 0)
+			yield* matchFrames(staticFrames, segments, decodedSegments, index + 1);
+
+		if (decoded !== null) {
+			// Constrained path parameters are preferred over unconstrained ones, regardless of which tree they're in
+			for (const constrained of [true, false]) {
+				for (const frame of frames) {
+					for (const child of frame.node.paramChildren) {
+						if ((child.key !== "") !== constrained || (child.test && !child.test(decoded)))
+							continue;
+
+						const value = child.convert ? child.convert(decoded) : decoded;
+						yield* matchFrames([Object.assign({}, frame, { node: child.node, values: frame.values.concat([value]) })], segments, decodedSegments, index + 1);
+					}
+				}
+			}
+		}
+	}
+
+	if (decodedSegments.slice(index).includes(null))
+		return;
+
+	// Wildcards come last, the ones of mounted routers first
+	const depths = Array.from(new Set(frames.map(frame => frame.mounts.length))).sort((a, b) => b - a);
+
+	for (const depth of depths) {
+		for (const frame of frames) {
+			if (frame.mounts.length !== depth || !frame.node.wildcardChild)
+				continue;
+
+			yield* yieldEntries(Object.assign({}, frame, {
+				node: frame.node.wildcardChild,
+				values: frame.values.concat([decodedSegments.slice(index).join("/")])
+			}));
+		}
+	}
+}
+
+/**
+ * Adds the roots of the routers mounted at the nodes of frames after the frames themselves
+ * @param {Frame[]} frames - the frames
+ * @returns {Frame[]} the frames, each followed by the roots of the routers mounted at its node (recursively)
+ */
+function expandMounts(frames) {
+	const result = [];
+
+	for (const frame of frames) {
+		result.push(frame);
+
+		for (const entry of frame.node.mounts) {
+			result.push(...expandMounts([{
+				node: entry.mount.router.routeTree.root,
+				values: [],
+				params: Object.assign({}, frame.params, getParams(entry.paramNames, frame.values)),
+				mounts: frame.mounts.concat([entry.mount])
+			}]));
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Yields every route ending at the node of a frame along with its path parameters and the mounts leading to it
+ * @param {Frame} frame - the frame whose routes should be yielded
+ */
+function* yieldEntries(frame) {
+	for (const entry of frame.node.entries)
+		yield { route: entry.route, params: Object.assign({}, frame.params, getParams(entry.paramNames, frame.values)), mounts: frame.mounts };
+}
+
+/**
+ * Pairs the names of path parameters with their values
+ * @param {String[]} paramNames - names of the path parameters
+ * @param {*[]} values - values of the path parameters
+ * @returns {Object.<String, *>} the path parameters
+ */
+function getParams(paramNames, values) {
+	const params = {};
+
+	for (let i = 0; i < paramNames.length; i++)
+		params[paramNames[i]] = values[i];
+
+	return params;
+}
+
+/**
+ * Checks whether a path segment is a path parameter (e.g. {userId})
+ * @param {String} segment - the path segment
+ * @returns {Boolean} true if the segment is a path parameter, false otherwise
+ */
+function isParam(segment) {
+	return segment.length > 2 && segment[0] === "{" && segment[segment.length - 1] === "}";
+}
+
+/**
+ * Checks whether a path segment is a wildcard (* or a named wildcard, e.g. {rest*})
+ * @param {String} segment - the path segment
+ * @returns {Boolean} true if the segment is a wildcard, false otherwise
+ */
+function isWildcard(segment) {
+	return segment === "*" || /^\{\w+\*\}$/.test(segment);
+}
+
+/**
+ * Checks whether a path contains a wildcard
+ * @param {String} path - the path
+ * @returns {Boolean} true if one of the path's segments is a wildcard, false otherwise
+ */
+function hasWildcard(path) {
+	return splitPath(path).some(isWildcard);
+}
+
+/**
+ * Percent-decodes a path segment
+ * @param {String} segment - the raw path segment
+ * @returns {?String} the decoded segment, or null if the segment contains a malformed escape sequence
+ */
+function decodeSegment(segment) {
+	try {
+		return decodeURIComponent(segment);
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * Splits a path into its segments, ignoring empty segments (e.g. "/users//bela/" -> ["users", "bela"])
+ * @param {String} path - the path that should be split
+ * @returns {String[]} the segments of the path
+ */
+function splitPath(path) {
+	return path.split("/").filter(segment => segment !== "");
+}
+
+module.exports = RouteTree;
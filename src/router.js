@@ -0,0 +1,1115 @@
+const { readFileSync, readdirSync, statSync, readFile } = require("fs");
+const { parse } = require("url");
+const { join, posix } = require("path");
+const { EventEmitter } = require("events");
+const { finished } = require("stream");
+const { performance } = require("perf_hooks");
+const { Route, SplitHandler } = require("./route");
+const RouteTree = require("./routeTree");
+const { getDebugMode } = require("./debug");
+const { createStaticHandler } = require("./staticFiles");
+const Metrics = require("./metrics");
+const { getLength } = require("./chunkLength");
+const { context, runInContext, getRequestId } = require("./context");
+const inject = require("./inject");
+
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ * @typedef {import("./route").Handler} Handler
+ * @typedef {import("./routeTree").Mount} Mount
+ */
+
+/**
+ * The response messages every router starts with
+ * @type {Object.<String, String>}
+ */
+const defaultResponses = {
+	"400b": "400 Bad Request: Malformed request body syntax",
+	"400q": "400 Bad Request: Malformed query syntax",
+	"400c": "400 Bad Request: Malformed cookie syntax",
+	"400m": "400 Bad Request: Malformed multipart body",
+	"400v": "400 Bad Request: Invalid request parameters",
+	"404": "404: Page Not Found",
+	"405": "405 Method Not Allowed: The requested method is not supported by this page",
+	"413": "413 Payload Too Large: The request body is too large",
+	"413f": "413 Payload Too Large: An uploaded file is too large",
+	"413p": "413 Payload Too Large: The request contains too many (or too large) fields or files",
+	"415": "415 Unsupported Media Type: Unsupported Content-Type",
+	"416": "416 Range Not Satisfiable: The requested range is outside of the file",
+	"422": "422 Unprocessable Entity: The request body is invalid",
+	"429": "429 Too Many Requests: Please wait a little before trying again",
+	"500": "500 Internal Server Error: Please try again in a few minutes, and contact the administrator of the site with your issue if it doesn't go away soon"
+};
+
+/**
+ * Class for representing a router, which stores its own routes, middlewares, fallback, responses and events
+ * Routers are independent of each other, so multiple servers (or tests) can run in the same process without sharing their routes
+ */
+class Router {
+	constructor() {
+		/**
+		 * An array for storing every route the server should handle, in the order they were added
+		 * @type {Route[]}
+		 */
+		this.routes = [];
+
+		/**
+		 * @description An array of functions that are called before every request (to process the request object)
+		 * @type {function[]}
+		 */
+		this.middlewares = [];
+
+		/**
+		 * Stores response messages for responses automatically sent back with error
+		 * @type {Object.<String, String>}
+		 */
+		this.responses = Object.assign({}, defaultResponses);
+
+		/**
+		 * EventEmitter used for triggering events, mostly during the request processing pipeline
+		 * @type {EventEmitter}
+		 */
+		this.emitter = new EventEmitter();
+
+		/**
+		 * Prefix tree used for finding the routes matching a request's path
+		 * @type {RouteTree}
+		 */
+		this.routeTree = new RouteTree();
+
+		/**
+		 * Routers mounted onto this router with a path prefix, in the order they were mounted
+		 * @type {{ prefix: String, router: Router, middlewares: function[] }[]}
+		 */
+		this.mounts = [];
+
+		/**
+		 * Routers bound to host patterns, in the order they were added (requests with other hosts are handled by this router)
+		 * @type {{ pattern: String, regex: RegExp, paramNames: String[], router: Router }[]}
+		 */
+		this.hosts = [];
+
+		/**
+		 * Kept for backwards compatibility, the search mode set with setSearchMode (it doesn't change how routes are matched)
+		 * @deprecated
+		 * @type {"dynamic" | "static"}
+		 */
+		this.searchMode = "dynamic";
+
+		/**
+		 * A request handler that is called when no other route matches the request's path
+		 * @type {function}
+		 * @param {IncomingMessage} req - the request object received from the client
+		 * @param {ServerResponse} res - the response object that will be sent to the client
+		 */
+		this.fallback = (req, res) => {
+			res.writeHead(404, {"Content-Type": "text/html"});
+			res.end(this.responses["404"]);
+		};
+
+		// The request handler is passed around as a callback (e.g. to http.createServer), so it has to be bound to the router
+		this.requestHandler = this.requestHandler.bind(this);
+	}
+
+	/**
+	 * Enables common middlewares (SETUP)
+	 * @param {(Boolean | Object)} [useBodyParser=true] - use the body parsing middleware (an object enables it with the given options, see createBodyParser)
+	 * @param {(Boolean | Object)} [useCookieParser=true] - use the cookie parsing middleware (an object enables it with the given options, see createCookieParser)
+	 * @param {Boolean} [useQueryParser=true] - use the query parsing middleware
+	 * @param {Boolean} [addRedirectToResponse=true] - add a redirect function to a response
+	 * @param {Boolean} [addResponseHelpers=true] - add helper functions (e.g. send, json, redirect) to a response and an accepts function to a request
+	 */
+	setupMiddlewares(useBodyParser, useCookieParser, useQueryParser, addRedirectToResponse, addResponseHelpers) {
+		const requestParsers = require("./middlewares/requestParsers").init(
+			this.responses,
+			useBodyParser && typeof useBodyParser === "object" ? useBodyParser : undefined,
+			useCookieParser && typeof useCookieParser === "object" ? useCookieParser : undefined
+		);
+
+		// The response helpers include the redirect function
+		if (addResponseHelpers !== false)
+			this.addMiddleware(require("./middlewares/responseHelpers"));
+		else if (addRedirectToResponse !== false)
+			this.addMiddleware(require("./middlewares/redirectToResponse"));
+		if (useBodyParser !== false)
+			this.addMiddleware(requestParsers.bodyParser);
+		if (useCookieParser !== false)
+			this.addMiddleware(requestParsers.cookieParser);
+		if (useQueryParser !== false)
+			this.addMiddleware(requestParsers.queryParser);
+	}
+
+	/**
+	 * Finds a route by its path or (optionally) creates a new one if it doesn't exist
+	 * @param {String} path - path of the route
+	 * @param {Boolean} [createNew=true] - enables creating a new Route object if the search didn't yield any results
+	 * @returns {?Route} The route with the specified path, or null if the search was unsuccessful and the createNew argument was set to false
+	 */
+	route(path, createNew=true) {
+		if (path[0] !== "/")
+			path = "/" + path;
+
+		for (let i = 0; i < this.routes.length; i++) {
+			if (this.routes[i].path === path)
+				return this.routes[i];
+		}
+
+		if (!createNew)
+			return null;
+
+		const route = new Route(path);
+
+		this.routeTree.insert(route);
+		this.routes.push(route);
+
+		return route;
+	}
+
+	/**
+	 * Adds a parameter type, which can be used in the path parameters of this router's routes after the parameter's name (e.g. {userId:int}) (SETUP)
+	 * @param {String} name - name of the type
+	 * @param {(RegExp | function(String): Boolean)} pattern - a regular expression (which has to match the whole path segment) or a function, which decides if a path segment is a valid value of the type
+	 * @param {function(String): *} [convert] - a function which converts the (decoded) path segment into the value stored in the request's params
+	 */
+	addParamType(name, pattern, convert) {
+		this.routeTree.addParamType(name, pattern, convert);
+	}
+
+	/**
+	 * Mounts a router under a path prefix (SETUP)
+	 * The paths of the mounted router's routes are relative to the prefix, and its middlewares are only called for requests that reach one of its routes
+	 * @param {String} prefix - the path prefix of the mounted router, which can contain path parameters (e.g. "/orgs/{orgId}")
+	 * @param {...(function | Router)} handlers - middleware function(s) that should only be called for the mounted routes, followed by the router that should be mounted
+	 * @returns {Router} this router
+	 */
+	use(prefix, ...handlers) {
+		const router = handlers.pop();
+
+		if (!(router instanceof Router))
+			throw new TypeError("The last argument of use has to be a Router");
+		if (router === this)
+			throw new Error("A router can't be mounted onto itself");
+
+		if (prefix[0] !== "/")
+			prefix = "/" + prefix;
+
+		const mount = { prefix, router, middlewares: handlers };
+
+		this.routeTree.mount(mount);
+		this.mounts.push(mount);
+
+		return this;
+	}
+
+	/**
+	 * Binds a router to a host pattern (SETUP)
+	 * Requests whose Host header matches the pattern are passed to the bound router (before this router's middlewares), while requests with other hosts are handled by this router (the default host)
+	 * @param {String} pattern - the host pattern, where * matches one or more labels (e.g. "admin.*") and {name} matches a single label and stores it in the request's path parameters (e.g. "{tenant}.example.test")
+	 * @param {Router} [router=new Router()] - the router handling the requests of the host
+	 * @returns {Router} the router bound to the host
+	 */
+	host(pattern, router=new Router()) {
+		if (!(router instanceof Router))
+			throw new TypeError("The second argument of host has to be a Router");
+		if (router === this)
+			throw new Error("A router can't be bound to a host of itself");
+
+		this.hosts.push({ pattern, ...compileHostPattern(pattern), router });
+		return router;
+	}
+
+	/**
+	 * Finds the route that is going to handle a request, without calling anything (a middleware may still pass the request on to another route)
+	 * @param {String} method - the method of the request
+	 * @param {String} path - the path of the request
+	 * @returns {?{ route: Route, handler: (Handler | SplitHandler), params: Object.<String, String>, mounts: Mount[] }} the route, its handler of the method, the path parameters and the mounts leading to the route, or null if no route handles the request
+	 */
+	findRoute(method, path) {
+		const upperCaseMethod = method.toUpperCase();
+
+		for (const match of this.matchRoutes(path)) {
+			const handler = findHandler(match.route, upperCaseMethod);
+			if (handler !== undefined)
+				return Object.assign({ handler }, match);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Finds every route matching a path, including the routes of mounted routers, from the most specific one to the least specific one
+	 * @param {String} path - the path of the request
+	 * @returns {Generator.<{ route: Route, params: Object.<String, String>, mounts: Object[] }>} the matching routes, their path parameters (including the ones in the prefixes of mounts) and the mounts leading to them
+	 */
+	*matchRoutes(path) {
+		yield* this.routeTree.match(path);
+	}
+
+	/**
+	 * Collects the methods the routes matching a path can handle, including the ones Toldi answers automatically (HEAD and OPTIONS)
+	 * @param {String} path - the path of a request
+	 * @returns {String[]} the methods (ALL if one of the routes handles every method), or an empty array if no route matches the path
+	 */
+	getAllowedMethods(path) {
+		const methods = new Set();
+
+		for (const { route } of this.matchRoutes(path)) {
+			for (const method of getRouteMethods(route))
+				methods.add(method);
+		}
+
+		return Array.from(methods);
+	}
+
+	/**
+	 * Generates the URL of a named route, including the routes of mounted routers
+	 * @param {String} name - the name of the route
+	 * @param {Object.<String, *>} [params={}] - the values of the route's path parameters (and wildcards)
+	 * @param {Object.<String, *>} [query={}] - the query parameters that should be appended to the URL, arrays are added as repeated keys
+	 * @returns {String} the URL of the route
+	 * @throws {Error} if there's no route with the specified name, or a path parameter is missing or invalid
+	 */
+	url(name, params={}, query={}) {
+		const path = this.findPath(name, params);
+		if (path === null)
+			throw new Error(`There is no route named ${name}`);
+
+		return path + stringifyQuery(query);
+	}
+
+	/**
+	 * Builds the path of a named route, searching the mounted routers as well
+	 * @param {String} name - the name of the route
+	 * @param {Object.<String, *>} params - the values of the route's path parameters (and wildcards)
+	 * @returns {?String} the path of the route, or null if there's no route with the specified name
+	 */
+	findPath(name, params) {
+		for (let i = 0; i < this.routes.length; i++) {
+			if (this.routes[i].name === name)
+				return this.routeTree.buildPath(this.routes[i].path, params);
+		}
+
+		for (const mount of this.mounts) {
+			const path = mount.router.findPath(name, params);
+
+			if (path !== null) {
+				return joinPaths(this.routeTree.buildPath(mount.prefix, params), path);
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Lists every route of the router, including the routes of mounted routers
+	 * @returns {RouteInfo[]} the routes, in the order they were added (the routes of mounted routers come after the router's own routes)
+	 */
+	getRoutes() {
+		return listRoutes(this, "/", [], getNames(this.middlewares));
+	}
+
+	/**
+	 * Prints every route of the router as a table, along with their middlewares and the routes shadowing them (DEBUG ONLY)
+	 * This is meant to be called once every route has been set up, so routes that can never be reached can be spotted
+	 */
+	printRoutes() {
+		if (!getDebugMode()) {
+			this.reportError(new Error("Tried to use a debug mode only feature outside of debug mode (printRoutes function)"));
+			return;
+		}
+
+		const rows = [["METHOD", "PATH", "NAME", "MIDDLEWARES", "NOTES"]];
+
+		for (const info of this.getRoutes()) {
+			const routeMiddlewares = info.middlewares.global.concat(info.middlewares.mount, info.middlewares.route);
+
+			for (const handler of info.handlers) {
+				const notes = [];
+
+				if (handler.split)
+					notes.push("split handler");
+				if (handler.shadowedBy)
+					notes.push(`shadowed by ${handler.shadowedBy}`);
+
+				rows.push([
+					handler.method,
+					info.path,
+					info.name || "",
+					routeMiddlewares.concat(handler.middlewares).join(" > "),
+					notes.join(", ")
+				]);
+			}
+		}
+
+		const widths = rows[0].map((column, i) => Math.max(...rows.map(row => row[i].length)));
+
+		console.log(rows.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd()).join("\n"));
+	}
+
+	/**
+	 * Kept for backwards compatibility, routes are always matched in order of specificity (static path parts first, then path parameters, then wildcards)
+	 * @deprecated
+	 */
+	reorder() {}
+
+	/**
+	 * Kept for backwards compatibility, every route is stored in the same route tree regardless of the search mode
+	 * Like before, switching to a different mode clears the routes unless keepRoutes is true, while setting the current mode does nothing
+	 * @deprecated
+	 * @param {"dynamic" | "static"} searchMode - the new search mode of the router
+	 * @param {Boolean} keepRoutes - determines if the router should keep the previous routes, or if it can start with a clean state
+	 */
+	setSearchMode(searchMode, keepRoutes=false) {
+		if (this.searchMode === searchMode)
+			return;
+
+		if (searchMode !== "dynamic" && searchMode !== "static") {
+			this.reportError(new Error(`Invalid searchMode: ${searchMode}`));
+			return;
+		}
+
+		this.searchMode = searchMode;
+		if (keepRoutes)
+			return;
+
+		this.routes.length = 0;
+		this.mounts.length = 0;
+		this.routeTree.clear();
+	}
+
+	/**
+	 * The master request handling function which finds the appropriate route and handler for the specified request
+	 * @param {IncomingMessage} req - the request object received from the client
+	 * @param {ServerResponse} res - the response object that will be sent to the client
+	 */
+	async requestHandler(req, res) {
+		if (req.id === undefined) {
+			req.id = getRequestId(req);
+			res.setHeader("X-Request-Id", req.id);
+
+			// Everything called while the request is processed (including callbacks and promises) can access it through toldi.context()
+			return runInContext({ id: req.id, req, res }, () => this.requestHandler(req, res));
+		}
+
+		if (req.hostname === undefined)
+			req.hostname = getHostname(req);
+
+		for (const host of this.hosts) {
+			const match = host.regex.exec(req.hostname);
+			if (match === null)
+				continue;
+
+			req.hostParams = Object.assign({}, req.hostParams);
+			host.paramNames.forEach((name, i) => req.hostParams[name] = match[i + 1]);
+
+			return host.router.requestHandler(req, res);
+		}
+
+		req.router = this;
+		req.path = parse(req.url).pathname;
+		if (req.path[0] !== "/")
+			req.path = "/" + req.path;
+
+		// Routers handling the request on behalf of another router (e.g. a virtual host) shouldn't count the bytes twice
+		if (req.startTime === undefined) {
+			req.startTime = performance.now();
+			countBytes(res);
+		}
+
+		this.emitter.emit("request", req);
+		res.on("finish", () => {
+			this.emitter.emit("response", req, res);
+			this.emitter.emit("finish", req, res, {
+				duration: performance.now() - req.startTime,
+				statusCode: res.statusCode,
+				bytes: res.bytesSent
+			});
+		});
+
+		const responded = onResponded(res);
+
+		// The middleware lists of the current route, error handlers are looked up in them from the most specific one to the least specific one
+		const levels = [this.middlewares];
+
+		// Middleware lists of mounted routers are only called once, even if the request is passed on to another route of the same router
+		const enteredMounts = new Set();
+
+		/**
+		 * Executes the middleware lists of a route, from the least specific one to the most specific one
+		 * @param {Mount[]} mounts - the mounts the route was reached through
+		 * @param {function[][]} routeLists - the middleware lists of the route itself (and of its handler)
+		 * @returns {Promise.<"next" | "route" | "end">} the result of the last executed list
+		 */
+		const enterRoute = async (mounts, routeLists) => {
+			const lists = [];
+			for (const mount of mounts)
+				lists.push(mount.middlewares, mount.router.middlewares);
+			lists.push(...routeLists);
+
+			levels.length = 1;
+
+			for (const list of lists) {
+				levels.push(list);
+
+				if (enteredMounts.has(list))
+					continue;
+				if (!routeLists.includes(list))
+					enteredMounts.add(list);
+
+				const result = await execMiddlewares(list, req, res, responded);
+				if (result !== "next")
+					return result;
+			}
+
+			return "next";
+		};
+
+		try {
+			if (await execMiddlewares(this.middlewares, req, res, responded) === "end")
+				return;
+
+			const upperCaseMethod = req.method.toUpperCase();
+
+			// Methods of the routes that matched the request's path but not its method, used for answering OPTIONS requests and sending 405 responses
+			const allowedMethods = new Set();
+			// The routes that matched the request's path but not its method
+			const otherMatches = [];
+
+			for (const match of this.matchRoutes(req.path)) {
+				const { route, params, mounts } = match;
+
+				const handler = findHandler(route, upperCaseMethod);
+				if (handler === undefined) {
+					for (const method of getRouteMethods(route))
+						allowedMethods.add(method);
+
+					otherMatches.push(match);
+					continue;
+				}
+
+				req.params = Object.assign({}, req.hostParams, params);
+				req.route = route;
+				req.routePath = getFullPath(mounts, route);
+				this.emitter.emit("routeMatched", req, route, req.params);
+
+				if (upperCaseMethod === "HEAD" && handler === route.handlers["GET"])
+					dropBody(res);
+
+				const result = await enterRoute(mounts, [route.middlewares, handler.middlewares]);
+				if (result === "route")
+					continue;
+				if (result === "end")
+					return;
+
+				this.emitter.emit("handlerStart", req, route, handler);
+				await handler.handle(req, res);
+				return;
+			}
+
+			if (allowedMethods.size > 0) {
+				const allow = Array.from(allowedMethods).join(", ");
+
+				if (upperCaseMethod === "OPTIONS") {
+					req.allowedMethods = Array.from(allowedMethods);
+					// The method a CORS preflight request asks about, whose method specific middlewares can answer it too
+					const requestedMethod = (req.headers["access-control-request-method"] || "").toUpperCase();
+
+					// Route specific middlewares (e.g. CORS) of every matching route can answer the OPTIONS request themselves
+					for (const { route, params, mounts } of otherMatches) {
+						req.params = Object.assign({}, req.hostParams, params);
+						req.route = route;
+						req.routePath = getFullPath(mounts, route);
+						this.emitter.emit("routeMatched", req, route, req.params);
+
+						const requestedHandler = requestedMethod ? findHandler(route, requestedMethod) : undefined;
+						if (await enterRoute(mounts, requestedHandler ? [route.middlewares, requestedHandler.middlewares] : [route.middlewares]) === "end")
+							return;
+					}
+
+					res.writeHead(204, { "Allow": allow });
+					res.end();
+				} else {
+					res.writeHead(405, { "Content-Type": "text/html", "Allow": allow });
+					res.end(this.responses["405"]);
+				}
+
+				return;
+			}
+
+			// Routes that passed the request on (with next("route")) didn't handle it
+			req.route = req.routePath = null;
+			this.emitter.emit("fallback", req);
+			if (this.fallback)
+				await this.fallback(req, res);
+		} catch (err) {
+			await this.handleError(err, levels, req, res, responded);
+		}
+	}
+
+	/**
+	 * Passes an error through the error handling middlewares of the levels a request has entered, and sends a 500 response if none of them handles it
+	 * @param {*} err - the error thrown (or the rejection reason) during the processing of the request
+	 * @param {function[][]} levels - the middleware lists the request has entered, from the least specific one to the most specific one
+	 * @param {IncomingMessage} req - the request object received from the client
+	 * @param {ServerResponse} res - the response object that will be sent to the client
+	 * @param {Promise} responded - a promise which resolves once the response has been sent (or the connection has been closed)
+	 */
+	async handleError(err, levels, req, res, responded) {
+		this.reportError(err, req);
+
+		for (let i = levels.length - 1; i >= 0; i--) {
+			for (const middleware of levels[i]) {
+				if (!isErrorHandler(middleware))
+					continue;
+
+				try {
+					// The error handler either responds to the request, or passes the error (or a new one) on by calling next
+					const nextErr = await Promise.race([
+						new Promise((resolve, reject) => {
+							const result = middleware(err, req, res, nextErr => resolve(nextErr || err));
+
+							if (result && typeof result.then === "function")
+								result.then(undefined, reject);
+						}),
+						responded.then(() => null)
+					]);
+
+					if (nextErr === null)
+						return;
+
+					err = nextErr;
+				} catch (handlerErr) {
+					this.reportError(handlerErr, req);
+					err = handlerErr;
+				}
+			}
+		}
+
+		if (!res.headersSent) {
+			res.writeHead(500, {"Content-Type": "text/html"});
+			res.end(this.responses["500"]);
+		} else if (!isEnded(res)) {
+			// Part of the response has already been sent, so the only way to signal the error is closing the connection
+			res.destroy();
+		}
+	}
+
+	/**
+	 * Emits an error on the router's error event, or prints it to the standard error if the event has no listeners
+	 * Errors of requests get the id of the request in their requestId property, and the request object in their (non-enumerable) request property
+	 * @param {*} err - the error that should be reported
+	 * @param {IncomingMessage} [req] - the request the error belongs to (the request being processed by default, see toldi.context)
+	 */
+	reportError(err, req) {
+		if (req === undefined && context() !== undefined)
+			req = context().req;
+
+		if (req !== undefined && err instanceof Object && Object.isExtensible(err) && err.request === undefined) {
+			err.requestId = req.id;
+			// The request isn't enumerable, so logging the error doesn't print the whole request object
+			Object.defineProperty(err, "request", { value: req, writable: true, configurable: true });
+		}
+
+		if (this.emitter.listenerCount("error") > 0)
+			this.emitter.emit("error", err, req);
+		else
+			console.error(err);
+	}
+
+	/**
+	 * Adds middleware function (or multiple middleware functions) to every route (SETUP)
+	 * @param  {...function} middlewares - middleware function(s) that should be added to the router
+	 */
+	addMiddleware(...middlewares) {
+		this.middlewares.push(...middlewares);
+	}
+
+	/**
+	 * Sets the default 404 page
+	 * @param {function} handler - the function which should be called if no other route matches the request's path
+	 */
+	setFallback(handler) {
+		this.fallback = handler;
+	}
+
+	/**
+	 * Gets the response of an error message
+	 * @param {"400b" | "400q" | "400c" | "400m" | "400v" | "404" | "405" | "413" | "413f" | "413p" | "415" | "416" | "422" | "429" | "500"} errorType - the error code (and type) of the response
+	 */
+	getResponse(errorType) {
+		return this.responses[errorType];
+	}
+
+	/**
+	 * Changes the default error messages (SETUP)
+	 * @param {"400b" | "400q" | "400c" | "400m" | "400v" | "404" | "405" | "413" | "413f" | "413p" | "415" | "416" | "422" | "429" | "500"} errorType - the error code (and type) of the response
+	 * @param {String} response - the response text that should be sent
+	 */
+	setResponse(errorType, response) {
+		this.responses[errorType] = response;
+	}
+
+	/**
+	 * Adds an event listener to the specified event
+	 * @param {"request" | "response" | "error" | "routeMatched" | "middlewareStart" | "middlewareEnd" | "handlerStart" | "fallback" | "finish" | "splitterError" | "parserRejected"} event - name of the event
+	 * @param {function} listener - the listener that should be appended to the event
+	 */
+	addEventListener(event, listener) {
+		this.emitter.on(event, listener);
+	}
+
+	/**
+	 * Starts collecting metrics about the requests (e.g. their number and latency by route), and adds a route which responds with them in the Prometheus text format (SETUP)
+	 * @param {Object} [options] - the options of the metrics (see Metrics)
+	 * @param {?String} [options.path="/metrics"] - the path of the metrics route, or null if the route shouldn't be added (the metrics can still be served with the handler of the collector)
+	 * @returns {Metrics} the collector
+	 */
+	collectMetrics(options={}) {
+		const metrics = new Metrics(options).attach(this);
+
+		if (options.path !== null)
+			this.route(options.path || "/metrics").get(metrics.handler);
+
+		return metrics;
+	}
+
+	/**
+	 * Sends a fake request to the router without starting a server, and collects the response (useful for testing)
+	 * @param {import("./inject").InjectOptions} [options] - the method, URL, headers, body, cookies and timeout of the request
+	 * @returns {Promise.<import("./inject").InjectResponse>} a promise which resolves with the status code, headers, cookies and body of the response, or rejects if it isn't sent in time
+	 */
+	inject(options) {
+		return inject(this, options);
+	}
+
+	/**
+	 * Sets up a route for every file in a specified directory (SETUP)
+	 * @param {String} path - path of the directory
+	 * @param {String} [root=path] - the path of where the URLs should start from (e.g. "about" -> "about/index.html", "about/style.css", etc.)
+	 * @param {(Boolean | Object)} [recursive=true] - setup subdirectories recursively, or the options of the static mode (see createStaticHandler), which streams the files from disk through a single wildcard route
+	 * @param {String} [method="GET"] - HTTP method for the routes
+	 * @param {Boolean} [readFromDisk=false] - don't store the files' content in memory, read it from disk on every request (DEBUG ONLY)
+	 * @param {Object} extensionMap - map for finding the MIME type from extensions (e.g. extensionMap["js"] -> "text/javascript")
+	 * @returns {(Route | undefined)} the wildcard route in static mode
+	 */
+	autoRoute(path, root=path, recursive=true, method="GET", readFromDisk=false, extensionMap) {
+		// Static mode: a single wildcard route streams the files from disk
+		if (recursive !== null && typeof recursive === "object") {
+			const options = recursive;
+			// The root defaults to the path of the directory, which can be relative (e.g. "./public" is served under /public)
+			const prefix = posix.normalize(`/${root}`).replace(/\/$/, "");
+			const route = this.route(`${prefix}/*`);
+
+			// Missing files are handled like paths without a route
+			route.get(createStaticHandler(path, options, async (req, res) => {
+				if (this.fallback)
+					return this.fallback(req, res);
+
+				res.writeHead(404, {"Content-Type": "text/html"});
+				res.end(this.responses["404"]);
+			}));
+
+			return route;
+		}
+
+		if (readFromDisk && !getDebugMode()) {
+			this.reportError(new Error("Tried to use a debug mode only feature outside of debug mode (autoRoute function readFromDisk parameter). Falling back to readFromDisk = false"));
+			readFromDisk = false;
+		}
+
+		if (!extensionMap)
+			extensionMap = JSON.parse(readFileSync(join(__dirname, "type-map.json")));
+
+		const fileList = readdirSync(path);
+
+		for (const file of fileList) {
+			if (statSync(join(path, file)).isDirectory()) {
+				if (recursive) {
+					this.autoRoute(join(path, file), join(root, file), recursive, method, readFromDisk, extensionMap);
+				}
+			} else {
+				const fileParts = file.split("."), extension = fileParts[fileParts.length - 1];
+				const contentType = extensionMap[extension];
+
+				if (contentType) {
+					if (readFromDisk) {
+						this.route(join(root, file)).addHandler(method, (req, res) => {
+							readFile(join(path, file), (err, data) => {
+								if (err) {
+									this.reportError(err, req);
+									res.writeHead(500, {"Content-Type": "text/html"});
+									res.end(this.responses["500"]);
+									return;
+								}
+
+								res.writeHead(200, {
+									"Content-Type": contentType,
+									"Content-Length": data.byteLength
+								});
+								res.end(data);
+							})
+						});
+					} else {
+						const content = readFileSync(join(path, file));
+
+						this.route(join(root, file)).addHandler(method, (req, res) => {
+							res.writeHead(200, {
+								"Content-Type": contentType,
+								"Content-Length": content.byteLength
+							});
+							res.end(content);
+						});
+					}
+
+				} else {
+					this.reportError(new Error(`autoRoute(${path}): Skipping file: ${file}, unknown extension`));
+				}
+			}
+		}
+	}
+}
+
+/**
+ * Converts a host pattern into a regular expression
+ * @param {String} pattern - the host pattern (e.g. "admin.*" or "{tenant}.example.test")
+ * @returns {{ regex: RegExp, paramNames: String[] }} the regular expression matching the pattern, and the names of its parameters in the order of its capturing groups
+ */
+function compileHostPattern(pattern) {
+	const paramNames = [];
+
+	const source = pattern.split(".").map(label => {
+		if (label === "*")
+			return "[^.]+(?:\\.[^.]+)*";
+
+		const param = /^\{(\w+)\}$/.exec(label);
+		if (param) {
+			paramNames.push(param[1]);
+			return "([^.]+)";
+		}
+
+		if (label === "" || /[{}*]/.test(label))
+			throw new Error(`Invalid host pattern: ${pattern}`);
+
+		return label.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+	}).join("\\.");
+
+	return { regex: new RegExp(`^${source}$`), paramNames };
+}
+
+/**
+ * Gets the host name a request was sent to, without the port
+ * @param {IncomingMessage} req - the request object received from the client
+ * @returns {String} the host name in lower case, or an empty string if the request has no Host header
+ */
+function getHostname(req) {
+	const host = (req.headers.host || "").toLowerCase();
+
+	// IPv6 addresses are enclosed in brackets, and contain colons themselves
+	if (host[0] === "[")
+		return host.slice(0, host.indexOf("]") + 1);
+
+	const separatorIndex = host.indexOf(":");
+	return separatorIndex === -1 ? host : host.slice(0, separatorIndex);
+}
+
+/**
+ * Executes a list of middlewares, skipping error handling middlewares
+ * Each middleware receives a next function, which can be called with an error (to skip to the error handling middlewares) or with "route" (to skip the rest of the current route)
+ * @param {function[]} middlewares - the list of middlewares that should be called
+ * @param {IncomingMessage} req - the request object received from the client
+ * @param {ServerResponse} res - the response object that will be sent to the client
+ * @param {Promise} responded - a promise which resolves once the response has been sent (or the connection has been closed)
+ * @returns {Promise.<"next" | "route" | "end">} - A promise which resolves with "next" if every middleware has called next, with "route" if one of them skipped the current route, or with "end" if one of them has ended the response without calling next. It rejects if one of the middlewares throws an error or calls next with an error
+ */
+function execMiddlewares(middlewares, req, res, responded) {
+	return new Promise((resolve, reject) => {
+		let i = -1, settled = false;
+
+		// The middleware currently being executed, and the time it was started at
+		let current = null;
+
+		function endMiddleware() {
+			if (current === null)
+				return;
+
+			req.router.emitter.emit("middlewareEnd", req, current.middleware, performance.now() - current.startTime);
+			current = null;
+		}
+
+		function settle(callback, value) {
+			if (settled)
+				return;
+
+			settled = true;
+			endMiddleware();
+			callback(value);
+		}
+
+		responded.then(() => settle(resolve, "end"));
+
+		function callNext() {
+			do {
+				i++;
+			} while (i < middlewares.length && isErrorHandler(middlewares[i]));
+
+			if (isEnded(res))
+				return settle(resolve, "end");
+			if (i === middlewares.length)
+				return settle(resolve, "next");
+
+			const middleware = middlewares[i];
+			let called = false;
+
+			current = { middleware, startTime: performance.now() };
+			req.router.emitter.emit("middlewareStart", req, middleware);
+
+			function next(err) {
+				if (called) {
+					req.router.reportError(new Error(`next was called more than once by the middleware ${middleware.name || "(anonymous)"}`), req);
+					return;
+				}
+
+				called = true;
+
+				if (settled)
+					return;
+
+				endMiddleware();
+
+				if (err === "route")
+					settle(resolve, "route");
+				else if (err)
+					settle(reject, err);
+				else
+					callNext();
+			}
+
+			try {
+				const result = middleware(req, res, next);
+
+				if (result && typeof result.then === "function")
+					result.then(undefined, err => settle(reject, err));
+			} catch (err) {
+				settle(reject, err);
+			}
+		}
+
+		callNext();
+	});
+}
+
+/**
+ * Finds the handler of a route responsible for a method
+ * HEAD requests are handled by the GET handler if the route has no HEAD handler
+ * @param {Route} route - the route
+ * @param {String} method - the method of the request in upper case
+ * @returns {(Handler | SplitHandler | undefined)} the handler, or undefined if the route doesn't handle the method
+ */
+function findHandler(route, method) {
+	if (route.handlers[method])
+		return route.handlers[method];
+	if (method === "HEAD" && route.handlers["GET"])
+		return route.handlers["GET"];
+
+	return route.handlers["ALL"];
+}
+
+/**
+ * Gets the methods a route can handle (including the ones Toldi answers automatically), for the Allow header
+ * @param {Route} route - the route
+ * @returns {String[]} the methods
+ */
+function getRouteMethods(route) {
+	const methods = Object.keys(route.handlers);
+
+	if (methods.includes("GET") && !methods.includes("HEAD"))
+		methods.push("HEAD");
+	if (!methods.includes("OPTIONS"))
+		methods.push("OPTIONS");
+
+	return methods;
+}
+
+/**
+ * Counts the bytes of the body written to a response (after every transformation, e.g. compression), and stores the count in its bytesSent property
+ * @param {ServerResponse} res - the response object that will be sent to the client
+ */
+function countBytes(res) {
+	const write = res.write, end = res.end;
+	res.bytesSent = 0;
+
+	res.write = function (chunk, encoding) {
+		if (!isEnded(res))
+			res.bytesSent += getLength(chunk, encoding);
+
+		return write.apply(res, arguments);
+	};
+
+	res.end = function (chunk, encoding) {
+		if (!isEnded(res) && typeof chunk !== "function")
+			res.bytesSent += getLength(chunk, encoding);
+
+		return end.apply(res, arguments);
+	};
+}
+
+/**
+ * Makes a response ignore the body written to it, while keeping its headers (used for answering HEAD requests with GET handlers)
+ * @param {ServerResponse} res - the response object that will be sent to the client
+ */
+function dropBody(res) {
+	const end = res.end;
+
+	res.write = (chunk, encoding, callback) => {
+		callback = typeof encoding === "function" ? encoding : callback;
+		if (callback)
+			process.nextTick(callback);
+
+		return true;
+	};
+
+	res.end = (chunk, encoding, callback) => {
+		callback = typeof chunk === "function" ? chunk : typeof encoding === "function" ? encoding : callback;
+		return end.call(res, callback);
+	};
+}
+
+/**
+ * @typedef {Object} RouteInfo
+ * @property {String} path - the full path of the route, including the prefixes of the routers it was mounted under
+ * @property {?String} name - the name of the route
+ * @property {String[]} methods - the methods the route has a handler for
+ * @property {{ global: String[], mount: String[], route: String[] }} middlewares - names of the middlewares called before every handler of the route, by level
+ * @property {{ method: String, split: Boolean, middlewares: String[], shadowedBy: ?String }[]} handlers - the handlers of the route, including the names of their method specific middlewares, and the path of the route that is always matched instead of them (if there's one)
+ */
+
+/**
+ * Collects the routes of a router and its mounted routers
+ * @param {Router} router - the router
+ * @param {String} prefix - the prefix the router was mounted under ("/" for the router handling the requests)
+ * @param {String[]} mountMiddlewares - names of the middlewares of the mounts leading to the router
+ * @param {String[]} globalMiddlewares - names of the global middlewares of the router handling the requests
+ * @returns {RouteInfo[]} the routes
+ */
+function listRoutes(router, prefix, mountMiddlewares, globalMiddlewares) {
+	const result = [];
+
+	for (const route of router.routes) {
+		const precedingRoutes = router.routeTree.getPrecedingRoutes(route);
+
+		result.push({
+			path: joinPaths(prefix, route.path),
+			name: route.name,
+			methods: Object.keys(route.handlers),
+			middlewares: {
+				global: globalMiddlewares,
+				mount: mountMiddlewares,
+				route: getNames(route.middlewares)
+			},
+			handlers: Object.keys(route.handlers).map(method => {
+				const shadowingRoute = precedingRoutes.find(precedingRoute => findHandler(precedingRoute, method) !== undefined);
+
+				return {
+					method,
+					split: route.handlers[method] instanceof SplitHandler,
+					middlewares: getNames(route.handlers[method].middlewares),
+					shadowedBy: shadowingRoute ? joinPaths(prefix, shadowingRoute.path) : null
+				};
+			})
+		});
+	}
+
+	for (const mount of router.mounts) {
+		const middlewares = mountMiddlewares.concat(getNames(mount.middlewares), getNames(mount.router.middlewares));
+		result.push(...listRoutes(mount.router, joinPaths(prefix, mount.prefix), middlewares, globalMiddlewares));
+	}
+
+	return result;
+}
+
+/**
+ * Gets the names of functions, for displaying them
+ * @param {function[]} functions - the functions
+ * @returns {String[]} the names of the functions ("(anonymous)" for functions without a name)
+ */
+function getNames(functions) {
+	return functions.map(fn => fn.name || "(anonymous)");
+}
+
+/**
+ * Joins two paths
+ * @param {String} prefix - the first path (e.g. the prefix of a mount)
+ * @param {String} path - the second path
+ * @returns {String} the joined path
+ */
+function joinPaths(prefix, path) {
+	if (prefix === "/" || prefix === "")
+		return path;
+	if (path === "/" || path === "")
+		return prefix;
+
+	return prefix.replace(/\/+$/, "") + (path[0] === "/" ? path : "/" + path);
+}
+
+/**
+ * Gets the full path of a route, including the prefixes of the mounts it was reached through (e.g. "/api/users/{id}")
+ * @param {Mount[]} mounts - the mounts the route was reached through
+ * @param {Route} route - the route
+ * @returns {String} the full path
+ */
+function getFullPath(mounts, route) {
+	return joinPaths(mounts.reduce((path, mount) => joinPaths(path, mount.prefix), "/"), route.path);
+}
+
+/**
+ * Builds a query string from an object
+ * @param {Object.<String, *>} query - the query parameters, where array values are added as repeated keys, and undefined values are skipped
+ * @returns {String} the query string starting with a question mark, or an empty string if there are no query parameters
+ */
+function stringifyQuery(query) {
+	const parts = [];
+
+	for (const key in query) {
+		if (!query.hasOwnProperty(key) || query[key] === undefined)
+			continue;
+
+		const values = query[key] instanceof Array ? query[key] : [query[key]];
+
+		for (const value of values)
+			parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(value === null ? "" : String(value))}`);
+	}
+
+	return parts.length === 0 ? "" : "?" + parts.join("&");
+}
+
+/**
+ * Creates a promise which resolves once a response has been sent, or once its connection has been closed
+ * @param {ServerResponse} res - the response object that will be sent to the client
+ * @returns {Promise} the promise
+ */
+function onResponded(res) {
+	return new Promise(resolve => {
+		finished(res, () => resolve());
+	});
+}
+
+/**
+ * Checks whether a response has been ended (writableEnded is only available since Node.js 12.9, finished means the same before that)
+ * @param {ServerResponse} res - the response object that will be sent to the client
+ * @returns {Boolean} true if end has been called on the response
+ */
+function isEnded(res) {
+	return res.writableEnded !== undefined ? res.writableEnded : res.finished;
+}
+
+/**
+ * Checks whether a middleware handles errors, which is decided by its number of parameters: (err, req, res, next)
+ * @param {function} middleware - the middleware function
+ * @returns {Boolean} true if the middleware is an error handling middleware, false otherwise
+ */
+function isErrorHandler(middleware) {
+	return middleware.length === 4;
+}
+
+module.exports = Router;
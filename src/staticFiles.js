@@ -0,0 +1,290 @@
+const { createReadStream } = require("fs");
+const { stat, realpath } = require("fs").promises;
+const { join, resolve, sep, extname } = require("path");
+const { pipeline } = require("stream");
+
+/**
+ * @typedef {import("http").IncomingMessage} IncomingMessage
+ * @typedef {import("http").ServerResponse} ServerResponse
+ * @typedef {import("fs").Stats} Stats
+ */
+
+/**
+ * The precompressed variants of a file, in order of preference
+ * @type {{ encoding: String, extension: String }[]}
+ */
+const ENCODINGS = [
+	{ encoding: "br", extension: ".br" },
+	{ encoding: "gzip", extension: ".gz" }
+];
+
+/**
+ * Creates a request handler which streams files from a directory, using the rest of the path captured by a wildcard as the path of the file
+ * @param {String} directory - the directory the files are served from
+ * @param {Object} [options] - the options of the handler
+ * @param {String} [options.param="*"] - the name of the wildcard that captures the path of the file
+ * @param {(String | false)} [options.index="index.html"] - the file sent for requests of a directory (false disables directory indexes)
+ * @param {Number} [options.maxAge=0] - the number of seconds clients may cache the files for
+ * @param {Boolean} [options.immutable=false] - mark the files as immutable in the Cache-Control header
+ * @param {(String | false)} [options.cacheControl] - the Cache-Control header (overrides maxAge and immutable, false leaves the header out)
+ * @param {Boolean} [options.precompressed=true] - send the .br or .gz variant of a file (if it exists) to clients that accept it
+ * @param {Boolean} [options.dotfiles=false] - serve files and directories whose name starts with a dot
+ * @param {Object.<String, String>} [options.extensionMap] - map for finding the MIME type from extensions (Toldi's own map by default)
+ * @param {function(IncomingMessage, ServerResponse): *} [notFound] - called for requests of files that don't exist (sends a 404 response by default)
+ * @returns {function(IncomingMessage, ServerResponse): Promise} the request handler
+ */
+function createStaticHandler(directory, options={}, notFound) {
+	const root = resolve(directory);
+	const extensionMap = options.extensionMap || require("./type-map.json");
+	const index = options.index !== undefined ? options.index : "index.html";
+	const precompressed = options.precompressed !== false;
+	const cacheControl = options.cacheControl !== undefined ? options.cacheControl :
+		`public, max-age=${options.maxAge || 0}${options.immutable ? ", immutable" : ""}`;
+
+	if (!notFound) {
+		notFound = (req, res) => {
+			res.writeHead(404, {"Content-Type": "text/html"});
+			res.end(req.router ? req.router.responses["404"] : "404");
+		};
+	}
+
+	// Symbolic links are resolved before checking whether a file is inside the directory, so the real path of the directory is needed too
+	let realRoot = null;
+
+	return async function serveStatic(req, res) {
+		const segments = getSegments(req.params ? req.params[options.param || "*"] : undefined, options.dotfiles === true);
+		if (segments === null)
+			return notFound(req, res);
+
+		if (realRoot === null)
+			realRoot = await realpath(root).catch(() => root);
+
+		let path = join(root, ...segments);
+		let stats = await findFile(path, realRoot);
+		if (stats === null)
+			return notFound(req, res);
+
+		if (stats.isDirectory()) {
+			if (!index)
+				return notFound(req, res);
+
+			// Relative links in the index file only work if the path ends with a slash
+			if (!req.path.endsWith("/")) {
+				const separatorIndex = req.url.indexOf("?");
+				res.writeHead(301, { "Location": req.path + "/" + (separatorIndex === -1 ? "" : req.url.slice(separatorIndex)) });
+				res.end();
+				return;
+			}
+
+			path = join(path, index);
+			stats = await findFile(path, realRoot);
+			if (stats === null || !stats.isFile())
+				return notFound(req, res);
+		} else if (!stats.isFile()) {
+			return notFound(req, res);
+		}
+
+		const headers = {
+			"Content-Type": extensionMap[extname(path).slice(1).toLowerCase()] || "application/octet-stream",
+			"Accept-Ranges": "bytes"
+		};
+
+		if (cacheControl !== false)
+			headers["Cache-Control"] = cacheControl;
+
+		if (precompressed) {
+			headers["Vary"] = "Accept-Encoding";
+
+			const variant = await findVariant(path, realRoot, req.headers["accept-encoding"]);
+			if (variant !== null) {
+				path = variant.path;
+				stats = variant.stats;
+				headers["Content-Encoding"] = variant.encoding;
+			}
+		}
+
+		headers["ETag"] = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+		headers["Last-Modified"] = stats.mtime.toUTCString();
+
+		if (isNotModified(req, headers["ETag"], stats.mtime)) {
+			delete headers["Content-Type"];
+			res.writeHead(304, headers);
+			res.end();
+			return;
+		}
+
+		const range = getRange(req, stats.size, headers["ETag"], stats.mtime);
+		if (range === false) {
+			res.writeHead(416, { ...headers, "Content-Type": "text/html", "Content-Range": `bytes */${stats.size}` });
+			res.end(req.router ? req.router.responses["416"] : "416");
+			return;
+		}
+
+		let statusCode = 200, start = 0, end = stats.size - 1;
+		if (range !== null) {
+			statusCode = 206;
+			({ start, end } = range);
+			headers["Content-Range"] = `bytes ${start}-${end}/${stats.size}`;
+		}
+
+		headers["Content-Length"] = stats.size === 0 ? 0 : end - start + 1;
+		res.writeHead(statusCode, headers);
+
+		if (req.method === "HEAD" || stats.size === 0) {
+			res.end();
+			return;
+		}
+
+		await new Promise((resolve, reject) => {
+			pipeline(createReadStream(path, { start, end }), res, err => {
+				// A client closing the connection early isn't an error of the server
+				if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE")
+					reject(err);
+				else
+					resolve();
+			});
+		});
+	};
+}
+
+/**
+ * Splits the requested path into its segments, rejecting every segment that could lead outside of the served directory
+ * @param {String} [path] - the rest of the path captured by the wildcard (already percent-decoded)
+ * @param {Boolean} allowDotfiles - allow segments starting with a dot (except "." and "..")
+ * @returns {?String[]} the segments, or null if the path isn't allowed
+ */
+function getSegments(path, allowDotfiles) {
+	const segments = (path || "").split("/").filter(segment => segment !== "");
+
+	for (const segment of segments) {
+		if (segment === "." || segment === ".." || segment.includes("\\") || segment.includes("\0"))
+			return null;
+		if (segment[0] === "." && !allowDotfiles)
+			return null;
+	}
+
+	return segments;
+}
+
+/**
+ * Finds a file, making sure that it's inside the served directory even after resolving symbolic links
+ * @param {String} path - the path of the file
+ * @param {String} realRoot - the real path of the served directory
+ * @returns {Promise.<?Stats>} the stats of the file, or null if it doesn't exist or is outside of the directory
+ */
+async function findFile(path, realRoot) {
+	try {
+		const realPath = await realpath(path);
+		if (realPath !== realRoot && !realPath.startsWith(realRoot + sep))
+			return null;
+
+		return await stat(realPath);
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * Finds the precompressed variant of a file that the client accepts
+ * @param {String} path - the path of the file
+ * @param {String} realRoot - the real path of the served directory
+ * @param {String} [acceptEncoding] - the Accept-Encoding header of the request
+ * @returns {Promise.<?{ path: String, stats: Stats, encoding: String }>} the variant, or null if there's no acceptable variant
+ */
+async function findVariant(path, realRoot, acceptEncoding) {
+	if (!acceptEncoding)
+		return null;
+
+	const accepted = new Set();
+	for (const part of acceptEncoding.split(",")) {
+		const [coding, ...params] = part.split(";").map(s => s.trim().toLowerCase());
+		if (!params.some(param => /^q=0(\.0*)?$/.test(param.replace(/\s/g, ""))))
+			accepted.add(coding);
+	}
+
+	for (const { encoding, extension } of ENCODINGS) {
+		if (!accepted.has(encoding) && !accepted.has("*"))
+			continue;
+
+		const stats = await findFile(path + extension, realRoot);
+		if (stats !== null && stats.isFile())
+			return { path: path + extension, stats, encoding };
+	}
+
+	return null;
+}
+
+/**
+ * Checks the conditional headers of a request (If-None-Match takes precedence over If-Modified-Since)
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @param {String} etag - the ETag of the file
+ * @param {Date} mtime - the time the file was last modified
+ * @returns {Boolean} true if the client's copy of the file is up to date
+ */
+function isNotModified(req, etag, mtime) {
+	const ifNoneMatch = req.headers["if-none-match"];
+	if (ifNoneMatch)
+		return ifNoneMatch.trim() === "*" || ifNoneMatch.split(",").some(tag => stripWeak(tag.trim()) === stripWeak(etag));
+
+	const ifModifiedSince = Date.parse(req.headers["if-modified-since"]);
+	if (Number.isNaN(ifModifiedSince))
+		return false;
+
+	// HTTP dates only have second precision
+	return Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Parses the Range header of a request (only single byte ranges are supported, other ranges are ignored)
+ * @param {IncomingMessage} req - the request object coming from the client
+ * @param {Number} size - the size of the file
+ * @param {String} etag - the ETag of the file
+ * @param {Date} mtime - the time the file was last modified
+ * @returns {({ start: Number, end: Number } | null | false)} the range, null if the whole file should be sent, or false if the range can't be satisfied
+ */
+function getRange(req, size, etag, mtime) {
+	const header = req.headers["range"];
+	if (!header)
+		return null;
+
+	// A range of a changed file would be combined with an outdated copy, so the whole file is sent instead
+	const ifRange = req.headers["if-range"];
+	if (ifRange) {
+		const matches = ifRange.trim().startsWith("\"") || ifRange.trim().startsWith("W/") ?
+			ifRange.trim() === etag :
+			Date.parse(ifRange) >= Math.floor(mtime.getTime() / 1000) * 1000;
+
+		if (!matches)
+			return null;
+	}
+
+	const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+	if (!match || (match[1] === "" && match[2] === ""))
+		return null;
+
+	let start, end;
+	if (match[1] === "") {
+		// Suffix range, e.g. bytes=-500 (the last 500 bytes)
+		start = Math.max(size - Number(match[2]), 0);
+		end = size - 1;
+	} else {
+		start = Number(match[1]);
+		end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+	}
+
+	if (start > end || start >= size)
+		return false;
+
+	return { start, end };
+}
+
+/**
+ * Removes the weak prefix of an ETag (If-None-Match uses weak comparison)
+ * @param {String} etag - the ETag
+ * @returns {String} the ETag without the W/ prefix
+ */
+function stripWeak(etag) {
+	return etag.startsWith("W/") ? etag.slice(2) : etag;
+}
+
+module.exports = { createStaticHandler };
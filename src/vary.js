@@ -0,0 +1,22 @@
+/**
+ * @typedef {import("http").ServerResponse} ServerResponse
+ */
+
+/**
+ * Adds a header name to the Vary header of a response, if it isn't already there
+ * @param {ServerResponse} res - the response object
+ * @param {String} name - the name of the header
+ */
+function addVary(res, name) {
+	const vary = res.getHeader("Vary");
+	if (!vary) {
+		res.setHeader("Vary", name);
+		return;
+	}
+
+	const names = String(vary).split(",").map(s => s.trim().toLowerCase());
+	if (!names.includes("*") && !names.includes(name.toLowerCase()))
+		res.setHeader("Vary", `${vary}, ${name}`);
+}
+
+module.exports = { addVary };
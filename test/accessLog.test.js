@@ -0,0 +1,76 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const toldi = require("../src/toldi");
+
+const logs = { combined: [], common: [], json: [] };
+
+const router = toldi.createRouter();
+for (const format of Object.keys(logs))
+	router.addMiddleware(toldi.accessLog({ format, stream: { write: line => logs[format].push(line) } }));
+
+router.route("/users/{id}").get((req, res) => res.end("hello"));
+
+/**
+ * Sends a request and returns the line every format logged for it
+ * @param {Object} options - the options of inject
+ * @returns {Promise<{ combined: String, common: String, json: String }>} the lines
+ */
+async function logRequest(options) {
+	for (const format of Object.keys(logs))
+		logs[format].length = 0;
+
+	await router.inject(options);
+
+	assert.deepStrictEqual(Object.values(logs).map(lines => lines.length), [1, 1, 1]);
+	return { combined: logs.combined[0], common: logs.common[0], json: logs.json[0] };
+}
+
+const TIME = "\\[\\d{2}/[A-Z][a-z]{2}/\\d{4}:\\d{2}:\\d{2}:\\d{2} \\+0000\\]";
+
+test("the common and combined formats write the Common Log Format fields", async () => {
+	const lines = await logRequest({
+		url: "/users/12",
+		headers: {
+			authorization: `Basic ${Buffer.from("bob:secret").toString("base64")}`,
+			referer: "https://example.com/",
+			"user-agent": "test-agent/1.0"
+		}
+	});
+
+	assert.match(lines.common, new RegExp(`^127\\.0\\.0\\.1 - bob ${TIME} "GET /users/12 HTTP/1\\.1" 200 5\\n$`));
+	assert.match(lines.combined, new RegExp(`^127\\.0\\.0\\.1 - bob ${TIME} "GET /users/12 HTTP/1\\.1" 200 5 "https://example\\.com/" "test-agent/1\\.0"\\n$`));
+});
+
+test("missing values are written as dashes", async () => {
+	const lines = await logRequest({ url: "/missing" });
+
+	assert.match(lines.combined, new RegExp(`^127\\.0\\.0\\.1 - - ${TIME} "GET /missing HTTP/1\\.1" 404 \\d+ "-" "-"\\n$`));
+});
+
+test("the json format writes one object per line, with the route template and the request id", async () => {
+	const lines = await logRequest({ url: "/users/12", headers: { "x-request-id": "abc-123" } });
+
+	assert.ok(lines.json.endsWith("}\n"));
+	const entry = JSON.parse(lines.json);
+	assert.strictEqual(entry.id, "abc-123");
+	assert.strictEqual(entry.method, "GET");
+	assert.strictEqual(entry.url, "/users/12");
+	assert.strictEqual(entry.route, "/users/{id}");
+	assert.strictEqual(entry.status, 200);
+	assert.strictEqual(entry.bytes, 5);
+	assert.strictEqual(entry.user, null);
+	assert.strictEqual(entry.referrer, null);
+	assert.strictEqual(typeof entry.duration, "number");
+	assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test("values sent by the client can't break the lines", async () => {
+	const lines = await logRequest({ url: '/users/1?q="x"', headers: { "user-agent": 'agent"\n127.0.0.1 - - fake' } });
+
+	for (const line of Object.values(lines))
+		assert.strictEqual(line.indexOf("\n"), line.length - 1);
+
+	assert.ok(lines.combined.includes('"GET /users/1?q=\\"x\\" HTTP/1.1"'));
+	assert.ok(lines.combined.endsWith('"agent\\"\\x0a127.0.0.1 - - fake"\n'));
+	assert.strictEqual(JSON.parse(lines.json).userAgent, 'agent"\n127.0.0.1 - - fake');
+});
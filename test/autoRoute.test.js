@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const toldi = require("../src/toldi");
+
+test("autoRoute reports skipped files without throwing if there's no error listener", async (t) => {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), "toldi-"));
+	t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+	fs.writeFileSync(path.join(directory, "notes.unknownextension"), "skipped");
+	fs.writeFileSync(path.join(directory, "hello.txt"), "hello");
+
+	const consoleError = t.mock.method(console, "error", () => {});
+	const router = toldi.createRouter();
+
+	router.autoRoute(directory, "/files", false, "GET", true);
+
+	const messages = consoleError.mock.calls.map(call => call.arguments[0].message);
+	assert.ok(messages.some(message => message.includes("readFromDisk")));
+	assert.ok(messages.some(message => message.includes("notes.unknownextension")));
+
+	const res = await router.inject({ url: "/files/hello.txt" });
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.body, "hello");
+});
+
+test("the static mode serves a directory given with a relative path under the normalized path", async (t) => {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), "toldi-"));
+	const cwd = process.cwd();
+	t.after(() => {
+		process.chdir(cwd);
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	fs.mkdirSync(path.join(directory, "public"));
+	fs.writeFileSync(path.join(directory, "public", "hello.txt"), "hello");
+	process.chdir(directory);
+
+	const router = toldi.createRouter();
+	const route = router.autoRoute("./public", undefined, {});
+
+	assert.strictEqual(route.path, "/public/*");
+
+	const res = await router.inject({ url: "/public/hello.txt" });
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.body, "hello");
+});
@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const toldi = require("../src/toldi");
+
+const router = toldi.createRouter();
+router.setupMiddlewares();
+
+router.route("/webhook").post((req, res) => {
+	res.json({ raw: req.rawBody ? req.rawBody.toString() : null, body: req.body });
+}, toldi.bodyParser({ types: "application/json", raw: true }));
+
+router.route("/binary").post((req, res) => {
+	res.json({ isBuffer: Buffer.isBuffer(req.body), length: req.body.length });
+}, toldi.bodyParser({ types: "application/octet-stream" }));
+
+router.route("/form").post((req, res) => res.json(req.body));
+
+test("a route specific body parser keeps the raw body under the global body parser", async () => {
+	const res = await router.inject({ method: "POST", url: "/webhook", body: { a: 1 } });
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.deepStrictEqual(res.json(), { raw: "{\"a\":1}", body: { a: 1 } });
+});
+
+test("a route specific body parser accepts types the global body parser doesn't", async () => {
+	const res = await router.inject({
+		method: "POST",
+		url: "/binary",
+		headers: { "content-type": "application/octet-stream" },
+		body: Buffer.from([1, 2, 3])
+	});
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.deepStrictEqual(res.json(), { isBuffer: true, length: 3 });
+});
+
+test("routes without their own body parser use the global one", async () => {
+	const res = await router.inject({ method: "POST", url: "/form", body: { b: 2 } });
+	assert.deepStrictEqual(res.json(), { b: 2 });
+
+	const rejected = await router.inject({ method: "POST", url: "/form", headers: { "content-type": "application/octet-stream" }, body: "x" });
+	assert.strictEqual(rejected.statusCode, 415);
+});
+
+test("percent-encoded characters of urlencoded bodies are decoded as UTF-8", async () => {
+	const res = await router.inject({
+		method: "POST",
+		url: "/form",
+		headers: { "content-type": "application/x-www-form-urlencoded" },
+		body: "a=%C3%A9&n%C3%A9v=K%C5%91+Mikl%C3%B3s"
+	});
+
+	assert.deepStrictEqual(res.json(), { a: "é", "név": "Kő Miklós" });
+});
+
+test("a route specific body parser of a mounted router takes precedence over the mounted router's global body parser", async () => {
+	const app = toldi.createRouter();
+	app.setupMiddlewares();
+
+	const api = toldi.createRouter();
+	api.addMiddleware(toldi.bodyParser({ types: ["application/json", "application/octet-stream"] }));
+	api.route("/webhook").post((req, res) => {
+		res.end(JSON.stringify({ raw: req.rawBody ? req.rawBody.toString() : null, body: req.body }));
+	}, toldi.bodyParser({ types: "application/json", raw: true }));
+	api.route("/binary").post((req, res) => res.end(String(Buffer.isBuffer(req.body))));
+	app.use("/api", api);
+
+	const webhook = await app.inject({ method: "POST", url: "/api/webhook", body: { a: 1 } });
+	assert.strictEqual(webhook.statusCode, 200);
+	assert.deepStrictEqual(webhook.json(), { raw: "{\"a\":1}", body: { a: 1 } });
+
+	const binary = await app.inject({ method: "POST", url: "/api/binary", headers: { "Content-Type": "application/octet-stream" }, body: "data" });
+	assert.strictEqual(binary.statusCode, 200);
+	assert.strictEqual(binary.body, "true");
+});
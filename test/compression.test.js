@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const zlib = require("zlib");
+const toldi = require("../src/toldi");
+
+const text = "Toldi ".repeat(1000);
+
+const router = toldi.createRouter();
+router.setupMiddlewares();
+router.addMiddleware(toldi.compression());
+
+router.route("/text").get((req, res) => {
+	res.setHeader("Content-Type", "text/plain");
+	res.end(text);
+});
+
+router.route("/small").get((req, res) => {
+	res.setHeader("Content-Type", "text/plain");
+	res.end("short");
+});
+
+router.route("/precompressed").get((req, res) => {
+	res.writeHead(200, { "Content-Type": "text/plain", "Content-Encoding": "gzip" });
+	res.end(zlib.gzipSync(text));
+});
+
+router.route("/image").get((req, res) => {
+	res.setHeader("Content-Type", "image/png");
+	res.end(Buffer.alloc(4096));
+});
+
+test("a large text response is gzipped for clients accepting gzip", async () => {
+	const res = await router.inject({ url: "/text", headers: { "Accept-Encoding": "gzip" } });
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.headers["content-encoding"], "gzip");
+	assert.strictEqual(res.headers["vary"], "Accept-Encoding");
+	assert.strictEqual(res.headers["content-length"], undefined);
+	assert.strictEqual(zlib.gunzipSync(res.rawBody).toString(), text);
+});
+
+test("the client's preferred encoding is used", async () => {
+	const res = await router.inject({ url: "/text", headers: { "Accept-Encoding": "gzip;q=0.5, br" } });
+
+	assert.strictEqual(res.headers["content-encoding"], "br");
+	assert.strictEqual(zlib.brotliDecompressSync(res.rawBody).toString(), text);
+});
+
+test("responses aren't compressed for clients that don't accept it, but still vary by Accept-Encoding", async () => {
+	const res = await router.inject({ url: "/text" });
+
+	assert.strictEqual(res.headers["content-encoding"], undefined);
+	assert.strictEqual(res.headers["vary"], "Accept-Encoding");
+	assert.strictEqual(res.body, text);
+});
+
+test("small, already compressed and binary responses aren't compressed", async () => {
+	const small = await router.inject({ url: "/small", headers: { "Accept-Encoding": "gzip" } });
+	assert.strictEqual(small.headers["content-encoding"], undefined);
+	assert.strictEqual(small.body, "short");
+
+	const precompressed = await router.inject({ url: "/precompressed", headers: { "Accept-Encoding": "gzip" } });
+	assert.strictEqual(precompressed.headers["content-encoding"], "gzip");
+	assert.strictEqual(zlib.gunzipSync(precompressed.rawBody).toString(), text);
+
+	const image = await router.inject({ url: "/image", headers: { "Accept-Encoding": "gzip" } });
+	assert.strictEqual(image.headers["content-encoding"], undefined);
+	assert.strictEqual(image.rawBody.length, 4096);
+});
+
+test("a HEAD response has the same Vary header as the GET response, without a body", async () => {
+	const res = await router.inject({ method: "HEAD", url: "/text", headers: { "Accept-Encoding": "gzip" } });
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.headers["vary"], "Accept-Encoding");
+	assert.strictEqual(res.headers["content-encoding"], undefined);
+	assert.strictEqual(res.body, "");
+});
@@ -0,0 +1,22 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const crypto = require("crypto");
+const { signCookie, unsignCookie, encryptCookie, decryptCookie } = require("../src/cookie");
+
+test("signatures use the URL-safe base64 alphabet without padding", () => {
+	const signature = signCookie("value", "secret").split(".").pop();
+
+	assert.strictEqual(signature, crypto.createHmac("sha256", "secret").update("value").digest("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, ""));
+	assert.strictEqual(unsignCookie(signCookie("value", "secret"), "secret"), "value");
+});
+
+test("cookies encrypted without hkdfSync (before Node.js 15) can be decrypted with it", (t) => {
+	const hkdfSync = crypto.hkdfSync;
+	t.after(() => crypto.hkdfSync = hkdfSync);
+
+	crypto.hkdfSync = undefined;
+	const encrypted = encryptCookie("héllo", "secret");
+	crypto.hkdfSync = hkdfSync;
+
+	assert.strictEqual(decryptCookie(encrypted, "secret"), "héllo");
+});
@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const toldi = require("../src/toldi");
+
+const preflightHeaders = method => ({ "Origin": "https://app.example.test", "Access-Control-Request-Method": method });
+
+test("a preflight request is answered by the CORS middleware of a later matching route", async () => {
+	const router = toldi.createRouter();
+	router.route("/items/{id}").get((req, res) => res.end("item"));
+	router.route("/items/*").delete((req, res) => res.end("deleted")).addMiddleware(toldi.cors({ origin: "https://app.example.test" }));
+
+	const res = await router.inject({ method: "OPTIONS", url: "/items/5", headers: preflightHeaders("DELETE") });
+
+	assert.strictEqual(res.statusCode, 204);
+	assert.strictEqual(res.headers["access-control-allow-origin"], "https://app.example.test");
+	assert.strictEqual(res.headers["access-control-allow-methods"], "GET, HEAD, OPTIONS, DELETE");
+});
+
+test("a preflight request is answered by the method specific CORS middleware of the requested method", async () => {
+	const router = toldi.createRouter();
+	router.route("/things").get((req, res) => res.end("things")).put((req, res) => res.end("updated"), toldi.cors({ origin: "https://app.example.test" }));
+
+	const res = await router.inject({ method: "OPTIONS", url: "/things", headers: preflightHeaders("PUT") });
+
+	assert.strictEqual(res.statusCode, 204);
+	assert.strictEqual(res.headers["access-control-allow-origin"], "https://app.example.test");
+	assert.strictEqual(res.headers["access-control-allow-methods"], "GET, PUT, HEAD, OPTIONS");
+});
+
+test("a preflight request of an allowed origin is answered with the Access-Control-Allow-* headers", async () => {
+	const router = toldi.createRouter();
+	router.addMiddleware(toldi.cors({ origin: ["https://app.example.test", /\.partner\.test$/], credentials: true, allowedHeaders: ["Content-Type"], maxAge: 600 }));
+	router.route("/orders").get((req, res) => res.end("orders")).post((req, res) => res.end("created"));
+
+	const res = await router.inject({ method: "OPTIONS", url: "/orders", headers: preflightHeaders("POST") });
+
+	assert.strictEqual(res.statusCode, 204);
+	assert.strictEqual(res.headers["access-control-allow-origin"], "https://app.example.test");
+	assert.strictEqual(res.headers["access-control-allow-credentials"], "true");
+	assert.strictEqual(res.headers["access-control-allow-methods"], "GET, POST, HEAD, OPTIONS");
+	assert.strictEqual(res.headers["access-control-allow-headers"], "Content-Type");
+	assert.strictEqual(res.headers["access-control-max-age"], "600");
+	assert.strictEqual(res.headers["vary"], "Origin");
+
+	const actual = await router.inject({ url: "/orders", headers: { "Origin": "https://shop.partner.test" } });
+	assert.strictEqual(actual.body, "orders");
+	assert.strictEqual(actual.headers["access-control-allow-origin"], "https://shop.partner.test");
+});
+
+test("requests of other origins don't get CORS headers", async () => {
+	const router = toldi.createRouter();
+	router.addMiddleware(toldi.cors({ origin: "https://app.example.test" }));
+	router.route("/orders").get((req, res) => res.end("orders"));
+
+	const preflight = await router.inject({ method: "OPTIONS", url: "/orders", headers: { "Origin": "https://evil.test", "Access-Control-Request-Method": "GET" } });
+	assert.strictEqual(preflight.statusCode, 204);
+	assert.strictEqual(preflight.headers["access-control-allow-origin"], undefined);
+	assert.strictEqual(preflight.headers["access-control-allow-methods"], undefined);
+
+	const actual = await router.inject({ url: "/orders", headers: { "Origin": "https://evil.test" } });
+	assert.strictEqual(actual.headers["access-control-allow-origin"], undefined);
+});
+
+test("credentials can't be allowed for every origin", () => {
+	assert.throws(() => toldi.cors({ credentials: true }), /credentials can't be allowed for every origin/);
+	assert.throws(() => toldi.cors({ origin: ["https://app.example.test", "*"], credentials: true }), /credentials can't be allowed for every origin/);
+});
@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const http = require("http");
+const toldi = require("../src/toldi");
+
+test("an injected response has the same listeners as one sent by a server", async () => {
+	const listenerCounts = [];
+	const router = toldi.createRouter();
+	router.setupMiddlewares();
+	router.route("/file").get((req, res) => {
+		listenerCounts.push(["close", "finish", "error"].map(event => res.listenerCount(event)));
+		return res.sendFile(__filename);
+	});
+
+	const server = http.createServer(router.requestHandler).listen(0, "127.0.0.1");
+	await new Promise(resolve => server.once("listening", resolve));
+	await new Promise(resolve => http.get({ host: "127.0.0.1", port: server.address().port, path: "/file" }, res => res.resume().on("end", resolve)));
+	server.close();
+
+	const res = await router.inject({ url: "/file" });
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(listenerCounts.length, 2);
+	assert.deepStrictEqual(listenerCounts[1], listenerCounts[0]);
+});
+
+test("inject rejects if the response is closed before it's finished", async () => {
+	const router = toldi.createRouter();
+	router.route("/aborted").get((req, res) => {
+		res.write("partial");
+		res.destroy();
+	});
+
+	await assert.rejects(router.inject({ url: "/aborted" }), /closed before it was finished/);
+});
@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const toldi = require("../src/toldi");
+
+const router = toldi.createRouter();
+router.setupMiddlewares();
+const metrics = router.collectMetrics({ buckets: [0.1, 1] });
+
+router.route("/users/{id}").get((req, res) => res.end(req.params.id));
+
+test("the exposition text counts the responses by method, route template and status code", async () => {
+	metrics.reset();
+	await router.inject({ url: "/users/1" });
+	await router.inject({ url: "/users/2" });
+	await router.inject({ url: "/missing" });
+
+	const res = await router.inject({ url: "/metrics" });
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.headers["content-type"], "text/plain; version=0.0.4; charset=utf-8");
+
+	const lines = res.body.split("\n");
+	assert.ok(lines.includes("# HELP toldi_http_requests_total The number of responses sent, by method, route and status code"));
+	assert.ok(lines.includes("# TYPE toldi_http_requests_total counter"));
+	assert.ok(lines.includes('toldi_http_requests_total{method="GET",route="/users/{id}",status="200"} 2'));
+	assert.ok(lines.includes('toldi_http_requests_total{method="GET",route="(unmatched)",status="404"} 1'));
+	assert.ok(lines.includes('toldi_fallbacks_total{method="GET"} 1'));
+});
+
+test("the durations are exposed as a histogram with cumulative buckets", async () => {
+	metrics.reset();
+	await router.inject({ url: "/users/1" });
+
+	const { body } = await router.inject({ url: "/metrics" });
+	const lines = body.split("\n");
+	const labels = 'method="GET",route="/users/{id}",status="200"';
+
+	assert.ok(lines.includes("# TYPE toldi_http_request_duration_seconds histogram"));
+	assert.ok(lines.includes(`toldi_http_request_duration_seconds_bucket{${labels},le="1"} 1`));
+	assert.ok(lines.includes(`toldi_http_request_duration_seconds_bucket{${labels},le="+Inf"} 1`));
+	assert.ok(lines.includes(`toldi_http_request_duration_seconds_count{${labels}} 1`));
+
+	const sum = lines.find(line => line.startsWith(`toldi_http_request_duration_seconds_sum{${labels}} `));
+	assert.ok(Number(sum.split(" ")[1]) > 0);
+});
+
+test("reset forgets the recorded series but keeps the metric descriptions", async () => {
+	await router.inject({ url: "/users/1" });
+	metrics.reset();
+
+	const text = metrics.serialize();
+	assert.ok(text.includes("# TYPE toldi_http_requests_total counter"));
+	assert.doesNotMatch(text, /^toldi_http_requests_total\{/m);
+});
@@ -0,0 +1,101 @@
+const { test, after } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const toldi = require("../src/toldi");
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "toldi-uploads-"));
+after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+const router = toldi.createRouter();
+router.setupMiddlewares();
+
+const limits = { uploadDir, fileSize: 16, files: 2, fields: 2, fieldSize: 8 };
+const storedPaths = [];
+
+router.route("/upload").post((req, res) => {
+	const files = [].concat(...Object.values(req.files));
+	storedPaths.push(...files.map(file => file.path));
+
+	res.end(JSON.stringify({ body: req.body, files: files.map(file => ({ fieldName: file.fieldName, filename: file.filename, size: file.size, content: fs.readFileSync(file.path, "utf8") })) }));
+}, toldi.multipartParser(limits));
+
+router.route("/keep").post((req, res) => {
+	res.end(req.files.doc.path);
+}, toldi.multipartParser({ ...limits, keepFiles: true }));
+
+/**
+ * Builds a multipart/form-data request
+ * @param {String} url - the URL of the request
+ * @param {{ name: String, value: String, filename: (String | undefined) }[]} parts - the fields and files of the body
+ * @returns {Object} the options of inject
+ */
+function multipartRequest(url, parts) {
+	const boundary = "----toldi-test-boundary";
+	const body = parts.map(part => `--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"${part.filename ? `; filename="${part.filename}"\r\nContent-Type: text/plain` : ""}\r\n\r\n${part.value}\r\n`).join("") + `--${boundary}--\r\n`;
+
+	return { method: "POST", url, headers: { "Content-Type": `multipart/form-data; boundary=${boundary}` }, body };
+}
+
+/**
+ * Waits until the upload directory is empty (files are removed asynchronously)
+ * @returns {Promise.<String[]>} the files left in the directory
+ */
+async function uploadDirEmptied() {
+	for (let i = 0; i < 100 && fs.readdirSync(uploadDir).length > 0; i++)
+		await new Promise(resolve => setTimeout(resolve, 10));
+
+	return fs.readdirSync(uploadDir);
+}
+
+test("fields and files are parsed, and the files are removed once the response has been sent", async () => {
+	const res = await router.inject(multipartRequest("/upload", [
+		{ name: "title", value: "Notes" },
+		{ name: "doc", value: "hello", filename: "../notes.txt" }
+	]));
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.deepStrictEqual(res.json(), { body: { title: "Notes" }, files: [{ fieldName: "doc", filename: "notes.txt", size: 5, content: "hello" }] });
+	assert.deepStrictEqual(await uploadDirEmptied(), []);
+	assert.ok(!fs.existsSync(storedPaths.pop()));
+});
+
+test("a file over the size limit is rejected with 413f", async () => {
+	const res = await router.inject(multipartRequest("/upload", [{ name: "doc", value: "x".repeat(17), filename: "big.txt" }]));
+
+	assert.strictEqual(res.statusCode, 413);
+	assert.strictEqual(res.body, toldi.getResponse("413f"));
+	assert.deepStrictEqual(await uploadDirEmptied(), []);
+});
+
+test("files already stored are removed when a later part exceeds a limit", async () => {
+	const res = await router.inject(multipartRequest("/upload", [
+		{ name: "a", value: "first", filename: "a.txt" },
+		{ name: "b", value: "second", filename: "b.txt" },
+		{ name: "c", value: "third", filename: "c.txt" }
+	]));
+
+	assert.strictEqual(res.statusCode, 413);
+	assert.strictEqual(res.body, toldi.getResponse("413p"));
+	assert.deepStrictEqual(await uploadDirEmptied(), []);
+});
+
+test("too many fields and too large fields are rejected with 413p", async () => {
+	const tooMany = await router.inject(multipartRequest("/upload", [{ name: "a", value: "1" }, { name: "b", value: "2" }, { name: "c", value: "3" }]));
+	const tooLarge = await router.inject(multipartRequest("/upload", [{ name: "a", value: "123456789" }]));
+
+	assert.strictEqual(tooMany.statusCode, 413);
+	assert.strictEqual(tooMany.body, toldi.getResponse("413p"));
+	assert.strictEqual(tooLarge.statusCode, 413);
+	assert.strictEqual(tooLarge.body, toldi.getResponse("413p"));
+});
+
+test("keepFiles leaves the uploaded files on the disk", async () => {
+	const res = await router.inject(multipartRequest("/keep", [{ name: "doc", value: "kept", filename: "kept.txt" }]));
+
+	assert.strictEqual(res.statusCode, 200);
+	await new Promise(resolve => setTimeout(resolve, 20));
+	assert.strictEqual(fs.readFileSync(res.body, "utf8"), "kept");
+	fs.unlinkSync(res.body);
+});
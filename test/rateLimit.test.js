@@ -0,0 +1,38 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const toldi = require("../src/toldi");
+
+/**
+ * A store answering asynchronously, like a store on another server would
+ */
+class DelayedStore extends toldi.MemoryRateLimitStore {
+	async increment(key, windowMs) {
+		await new Promise(resolve => setTimeout(resolve, 10));
+		return super.increment(key, windowMs);
+	}
+
+	async takeToken(key, size, windowMs) {
+		await new Promise(resolve => setTimeout(resolve, 10));
+		return super.takeToken(key, size, windowMs);
+	}
+}
+
+for (const algorithm of ["fixed-window", "token-bucket"]) {
+	test(`concurrent requests can't exceed a ${algorithm} rate limit`, async (t) => {
+		const store = new DelayedStore();
+		t.after(() => store.close());
+
+		const router = toldi.createRouter();
+		router.route("/limited").get((req, res) => res.end("ok"), toldi.rateLimit({ limit: 3, window: 60, algorithm, store }));
+
+		const responses = await Promise.all(Array.from({ length: 10 }, () => router.inject({ url: "/limited" })));
+
+		assert.strictEqual(responses.filter(res => res.statusCode === 200).length, 3);
+		assert.strictEqual(responses.filter(res => res.statusCode === 429).length, 7);
+	});
+}
+
+test("a store without the operation of the algorithm is rejected", () => {
+	assert.throws(() => toldi.rateLimit({ store: { get() {}, set() {} } }), /has to implement increment/);
+	assert.throws(() => toldi.rateLimit({ algorithm: "token-bucket", store: { increment() {} } }), /has to implement takeToken/);
+});
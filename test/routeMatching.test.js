@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const toldi = require("../src/toldi");
+
+function handler(name) {
+	return (req, res) => res.end(JSON.stringify({ name, params: req.params }));
+}
+
+test("a static route of a mounted router is preferred over a path parameter of the parent", async () => {
+	const router = toldi.createRouter(), api = toldi.createRouter();
+
+	router.route("/api/{x}").get(handler("parent param"));
+	api.route("/users").get(handler("mounted static"));
+	router.use("/api", api);
+
+	assert.deepStrictEqual((await router.inject({ url: "/api/users" })).json(), { name: "mounted static", params: {} });
+	assert.deepStrictEqual((await router.inject({ url: "/api/posts" })).json(), { name: "parent param", params: { x: "posts" } });
+});
+
+test("mounted routes are ranked by specificity together with the parent's routes", async () => {
+	const router = toldi.createRouter(), orgs = toldi.createRouter();
+
+	router.route("/orgs/*").get(handler("parent wildcard"));
+	router.route("/orgs/{orgId}/members/me").get(handler("parent static"));
+	orgs.route("/members/{memberId}").get(handler("mounted param"));
+	orgs.route("/*").get(handler("mounted wildcard"));
+	router.use("/orgs/{orgId}", orgs);
+
+	assert.deepStrictEqual((await router.inject({ url: "/orgs/toldi/members/me" })).json(), { name: "parent static", params: { orgId: "toldi" } });
+	assert.deepStrictEqual((await router.inject({ url: "/orgs/toldi/members/bela" })).json(), { name: "mounted param", params: { orgId: "toldi", memberId: "bela" } });
+	assert.deepStrictEqual((await router.inject({ url: "/orgs/toldi/settings" })).json(), { name: "mounted wildcard", params: { orgId: "toldi", "*": "settings" } });
+	assert.deepStrictEqual((await router.inject({ url: "/orgs" })).json().name, "parent wildcard");
+});
+
+test("a parent route with the same path is preferred over the mounted one", async () => {
+	const router = toldi.createRouter(), api = toldi.createRouter();
+
+	router.route("/api/users").get(handler("parent"));
+	api.route("/users").get(handler("mounted"));
+	router.use("/api", api);
+
+	assert.strictEqual((await router.inject({ url: "/api/users" })).json().name, "parent");
+});
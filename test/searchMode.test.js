@@ -0,0 +1,34 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const toldi = require("../src/toldi");
+
+test("setSearchMode only clears the routes when the mode changes", () => {
+	const router = toldi.createRouter();
+	router.route("/a").get((req, res) => res.end("a"));
+
+	router.setSearchMode("dynamic");
+	assert.strictEqual(router.getRoutes().length, 1);
+
+	router.setSearchMode("static", true);
+	assert.strictEqual(router.searchMode, "static");
+	assert.strictEqual(router.getRoutes().length, 1);
+
+	router.setSearchMode("dynamic");
+	assert.strictEqual(router.searchMode, "dynamic");
+	assert.strictEqual(router.getRoutes().length, 0);
+});
+
+test("setSearchMode reports an invalid mode and keeps the current one", () => {
+	const router = toldi.createRouter();
+	const errors = [];
+	router.addEventListener("error", err => errors.push(err.message));
+
+	router.setSearchMode("fast");
+
+	assert.deepStrictEqual(errors, ["Invalid searchMode: fast"]);
+	assert.strictEqual(router.searchMode, "dynamic");
+});
+
+test("toldi.searchMode is the search mode of the default router", () => {
+	assert.strictEqual(toldi.searchMode, toldi.defaultRouter.searchMode);
+});
@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const toldi = require("../src/toldi");
+
+// What the splitter returns, set by each test
+let result;
+const errors = [];
+
+const router = toldi.createRouter();
+router.route("/split").getSplitHandler(() => result, (req, res) => res.end("first"), (req, res) => res.end("second"));
+router.addEventListener("error", err => errors.push(err));
+
+test("a split handler calls the handler chosen by the splitter", async () => {
+	result = 1;
+	const res = await router.inject({ url: "/split" });
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.body, "second");
+});
+
+for (const invalidResult of [1.5, NaN, "1", 2, -1, undefined]) {
+	test(`a split handler answers with 500 if the splitter returns ${typeof invalidResult === "string" ? JSON.stringify(invalidResult) : invalidResult}`, async () => {
+		result = invalidResult;
+		errors.length = 0;
+		const res = await router.inject({ url: "/split" });
+
+		assert.strictEqual(res.statusCode, 500);
+		assert.strictEqual(errors.length, 1);
+		assert.match(errors[0].message, /has to be the index of one of its handlers \(an integer from 0 to 1\)/);
+	});
+}
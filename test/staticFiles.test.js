@@ -0,0 +1,59 @@
+const { test, after } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const toldi = require("../src/toldi");
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "toldi-static-"));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+fs.writeFileSync(path.join(directory, "digits.txt"), "0123456789");
+fs.writeFileSync(path.join(directory, ".secret"), "hidden");
+
+const router = toldi.createRouter();
+router.autoRoute(directory, "/static", { maxAge: 60 });
+
+test("a file is sent with its caching headers", async () => {
+	const res = await router.inject({ url: "/static/digits.txt" });
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.body, "0123456789");
+	assert.strictEqual(res.headers["content-type"], "text/plain");
+	assert.strictEqual(res.headers["cache-control"], "public, max-age=60");
+	assert.strictEqual(res.headers["accept-ranges"], "bytes");
+	assert.ok(res.headers["etag"]);
+	assert.ok(res.headers["last-modified"]);
+});
+
+test("a Range request is answered with 206 and the requested part", async () => {
+	const res = await router.inject({ url: "/static/digits.txt", headers: { "Range": "bytes=2-5" } });
+
+	assert.strictEqual(res.statusCode, 206);
+	assert.strictEqual(res.body, "2345");
+	assert.strictEqual(res.headers["content-range"], "bytes 2-5/10");
+	assert.strictEqual(res.headers["content-length"], "4");
+});
+
+test("a Range outside of the file is answered with 416", async () => {
+	const res = await router.inject({ url: "/static/digits.txt", headers: { "Range": "bytes=20-30" } });
+
+	assert.strictEqual(res.statusCode, 416);
+	assert.strictEqual(res.headers["content-range"], "bytes */10");
+});
+
+test("a conditional request for an unchanged file is answered with 304", async () => {
+	const first = await router.inject({ url: "/static/digits.txt" });
+
+	const byEtag = await router.inject({ url: "/static/digits.txt", headers: { "If-None-Match": first.headers["etag"] } });
+	assert.strictEqual(byEtag.statusCode, 304);
+	assert.strictEqual(byEtag.body, "");
+
+	const byDate = await router.inject({ url: "/static/digits.txt", headers: { "If-Modified-Since": first.headers["last-modified"] } });
+	assert.strictEqual(byDate.statusCode, 304);
+});
+
+test("dotfiles and missing files are answered by the fallback", async () => {
+	assert.strictEqual((await router.inject({ url: "/static/.secret" })).statusCode, 404);
+	assert.strictEqual((await router.inject({ url: "/static/missing.txt" })).statusCode, 404);
+});
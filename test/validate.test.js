@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const toldi = require("../src/toldi");
+
+const schema = { body: { type: "object", properties: { name: { type: "string" } }, additionalProperties: true } };
+
+const router = toldi.createRouter();
+router.setupMiddlewares();
+
+function reply(req, res) {
+	res.end(JSON.stringify({
+		body: req.body,
+		prototypeChanged: Object.getPrototypeOf(req.body) !== Object.prototype,
+		isAdmin: req.body.isAdmin === true
+	}));
+}
+
+router.route("/users").post(reply, toldi.validate(schema));
+router.route("/drafts").post(reply, toldi.validate(schema, { removeAdditional: false }));
+
+// The body is sent as a string, since JSON.parse keeps __proto__ as an own key, while an object literal wouldn't
+const payload = "{\"name\":\"Béla\",\"__proto__\":{\"isAdmin\":true},\"constructor\":{\"prototype\":{\"isAdmin\":true}}}";
+
+test("the __proto__ key of a validated body doesn't change its prototype", async () => {
+	const res = await router.inject({ method: "POST", url: "/users", headers: { "Content-Type": "application/json" }, body: payload });
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.deepStrictEqual(res.json(), { body: { name: "Béla" }, prototypeChanged: false, isAdmin: false });
+	assert.strictEqual({}.isAdmin, undefined);
+});
+
+test("the __proto__ key is left out without removeAdditional too", async () => {
+	const res = await router.inject({ method: "POST", url: "/drafts", headers: { "Content-Type": "application/json" }, body: payload });
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.deepStrictEqual(res.json(), { body: { name: "Béla" }, prototypeChanged: false, isAdmin: false });
+});
+
+test("the __proto__ key is left out even if a schema loaded from JSON declares it", async () => {
+	router.route("/profiles").post((req, res) => {
+		res.end(JSON.stringify({ prototypeChanged: Object.getPrototypeOf(req.body) !== Object.prototype, isAdmin: req.body.isAdmin === true }));
+	}, toldi.validate({
+		body: JSON.parse("{\"type\":\"object\",\"properties\":{\"name\":{\"type\":\"string\"},\"__proto__\":{\"type\":\"object\"}}}")
+	}));
+
+	const res = await router.inject({ method: "POST", url: "/profiles", headers: { "Content-Type": "application/json" }, body: payload });
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.deepStrictEqual(res.json(), { prototypeChanged: false, isAdmin: false });
+});
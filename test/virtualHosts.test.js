@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const toldi = require("../src/toldi");
+
+const router = toldi.createRouter();
+router.route("/").get((req, res) => res.end(`default ${req.hostname}`));
+
+const admin = router.host("admin.*");
+admin.route("/").get((req, res) => res.end("admin"));
+
+const tenants = router.host("{tenant}.example.test");
+tenants.route("/users/{id}").get((req, res) => res.end(JSON.stringify(req.params)));
+
+test("a request is passed to the router of the host pattern it matches", async () => {
+	const res = await router.inject({ url: "/", headers: { host: "admin.example.test" } });
+
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.body, "admin");
+});
+
+test("a host parameter is stored with the path parameters", async () => {
+	const res = await router.inject({ url: "/users/12", headers: { host: "acme.example.test" } });
+
+	assert.deepStrictEqual(res.json(), { tenant: "acme", id: "12" });
+});
+
+test("host names are compared case-insensitively and without the port", async () => {
+	const res = await router.inject({ url: "/users/12", headers: { host: "ACME.Example.Test:8080" } });
+
+	assert.deepStrictEqual(res.json(), { tenant: "acme", id: "12" });
+});
+
+test("the pattern added first wins if more of them match", async () => {
+	// admin.example.test matches {tenant}.example.test too
+	const res = await router.inject({ url: "/users/12", headers: { host: "admin.example.test" } });
+
+	assert.strictEqual(res.statusCode, 404);
+});
+
+test("requests of other hosts are handled by the default host", async () => {
+	const res = await router.inject({ url: "/", headers: { host: "example.test" } });
+	assert.strictEqual(res.body, "default example.test");
+
+	// {name} matches exactly one part of the host name
+	const nested = await router.inject({ url: "/users/12", headers: { host: "a.b.example.test" } });
+	assert.strictEqual(nested.statusCode, 404);
+});